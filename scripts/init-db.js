@@ -67,6 +67,42 @@ async function initializeDatabase() {
         `);
         console.log('TestRecords table created/exists');
 
+        // Stored procedures exposed through POST /api/procedures/:name (see src/services/procedures.js)
+        // CREATE PROCEDURE must be alone in its batch, hence one query each
+        console.log('Creating stored procedures...');
+        await pool.request().query(`
+            CREATE OR ALTER PROCEDURE dbo.usp_RecordQuantityStats
+                @MinQty INT,
+                @Since DATETIME = NULL,
+                @MatchCount INT OUTPUT
+            AS
+            BEGIN
+                SET NOCOUNT ON;
+                SELECT RecordID, REC_QY, CreatedDate
+                FROM TestRecords
+                WHERE REC_QY >= @MinQty AND (@Since IS NULL OR CreatedDate >= @Since)
+                ORDER BY RecordID;
+                SET @MatchCount = @@ROWCOUNT;
+                RETURN 0;
+            END
+        `);
+        await pool.request().query(`
+            CREATE OR ALTER PROCEDURE dbo.usp_AdjustRecordQuantity
+                @RecordID INT,
+                @Delta INT,
+                @NewQty INT OUTPUT
+            AS
+            BEGIN
+                SET NOCOUNT ON;
+                UPDATE TestRecords
+                SET @NewQty = REC_QY = ISNULL(REC_QY, 0) + @Delta
+                WHERE RecordID = @RecordID;
+                IF @@ROWCOUNT = 0 RETURN 1;
+                RETURN 0;
+            END
+        `);
+        console.log('Stored procedures created/updated');
+
         await pool.close();
         console.log('Database initialization complete!');
         process.exit(0);
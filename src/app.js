@@ -16,6 +16,9 @@ import cookieParser from "cookie-parser";
 
 import morgan from "morgan";
 import logger from "./utils/logger.js"; // ⬅️ Your winston logger
+import { httpMetricsMiddleware } from "./utils/metrics.js";
+import { compressResponses } from "./utils/compression.js";
+import { errorMiddleware } from "./utils/errorHandler.js";
 
 
 //  Explicitly create __dirname
@@ -51,6 +54,12 @@ if (process.env.NODE_ENV === "production") {
   app.use(morgan("dev")); // color-coded, short, easy for dev
 }
 
+// Record HTTP latency by route for the /metrics endpoint
+app.use(httpMetricsMiddleware);
+
+// gzip/brotli for non-streaming responses above COMPRESSION_THRESHOLD; streams compress themselves
+app.use(compressResponses());
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
@@ -88,6 +97,9 @@ app.use("/js", express.static(path.join(__dirname, "../node_modules/dayjs")));
 import router from "./router.js";
 app.use(router);
 
+// API errors raised before the API router (e.g. malformed JSON bodies) get the JSON error envelope
+app.use("/api", errorMiddleware);
+
 
 
 // catch 404 and forward to error handler
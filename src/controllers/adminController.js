@@ -0,0 +1,37 @@
+import {
+  cancelInFlightQuery,
+  listInFlightQueries,
+} from "../services/database.js";
+import { debugMSSQL } from "../utils/debug.js";
+
+// List every running query (executeQuery calls and streaming responses)
+export const getInFlightQueries = (_req, res) => {
+  const queries = listInFlightQueries();
+  res.status(200).json({
+    success: true,
+    data: queries,
+    count: queries.length,
+  });
+};
+
+// Cancel one running query; streaming clients receive {"success":false,"error":"Cancelled by administrator"}
+export const cancelQuery = (req, res) => {
+  const { id } = req.params;
+  debugMSSQL(`Admin cancel requested for query ${id}`);
+
+  if (!cancelInFlightQuery(id, "Cancelled by administrator")) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: "QUERY_NOT_FOUND",
+        message: `No running query with id ${id}`,
+        status: 404,
+      },
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    data: { id, cancelled: true },
+  });
+};
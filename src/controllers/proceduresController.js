@@ -0,0 +1,59 @@
+import { executeProcedure, getProcedure, parseProcedureInputs } from "../services/procedures.js";
+import { describeColumns, wantsColumnSchema } from "../utils/columnSchema.js";
+import { debugMSSQL } from "../utils/debug.js";
+import { ApiError, DatabaseError } from "../utils/errorHandler.js";
+import { sendJSON } from "../utils/json.js";
+
+/**
+ * Run a registered stored procedure
+ *
+ * The body holds the input parameters by name and is validated against the
+ * procedure's declared inputs; unknown names are rejected. Procedures that
+ * are not registered in src/services/procedures.js return 404, whatever
+ * exists in the database.
+ *
+ * Request:
+ * POST /api/procedures/recordQuantityStats {"MinQty": 5, "Since": "2026-01-01"}
+ *
+ * Response Format:
+ * {"success": true,
+ *  "data": {"recordsets": [[{"RecordID": 7, "REC_QY": 9, "CreatedDate": "..."}]],
+ *           "output": {"MatchCount": 1}, "returnValue": 0, "rowsAffected": [1]},
+ *  "messages": [], "meta": {"procedure": "recordQuantityStats", "pool": "default"}}
+ *
+ * With ?schema=true, data.columns holds the column descriptors of each recordset.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express error handler middleware
+ */
+export const callProcedure = async (req, res, next) => {
+  const { name } = req.validated.params;
+  const contract = getProcedure(name);
+  if (!contract) {
+    return next(new ApiError(404, "PROCEDURE_NOT_FOUND", `Procedure ${name} is not available`));
+  }
+
+  try {
+    const inputs = parseProcedureInputs(contract, req.body);
+    debugMSSQL("Calling procedure %s (%s) with %O", name, contract.procedure, inputs);
+    const result = await executeProcedure(contract, inputs, { req });
+
+    sendJSON(res, {
+      success: true,
+      data: {
+        recordsets: result.recordsets,
+        ...(wantsColumnSchema(req) && {
+          columns: result.recordsets.map((recordset) => describeColumns(recordset.columns)),
+        }),
+        output: result.output,
+        returnValue: result.returnValue,
+        rowsAffected: result.rowsAffected,
+      },
+      messages: result.messages,
+      meta: { procedure: name, pool: result.poolName },
+    });
+  } catch (error) {
+    next(error instanceof ApiError ? error : new DatabaseError(error, `procedure:${name}`));
+  }
+};
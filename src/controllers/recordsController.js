@@ -0,0 +1,647 @@
+import mssql from "mssql";
+import { executeQuery, QUERY_INTENT, withTransaction } from "../services/database.js";
+import { parseCSVRecords } from "../utils/csv.js";
+import { decodeCursor, encodeCursor } from "../utils/cursor.js";
+import { debugMSSQL } from "../utils/debug.js";
+import { ApiError, DatabaseError } from "../utils/errorHandler.js";
+import { sendJSON, withColumns } from "../utils/json.js";
+import {
+  COLUMN_KIND,
+  compileListQuery,
+  FILTER_OPERATOR,
+  getSortKey,
+  parseListQuery,
+  parseSortKey,
+  selectFields,
+} from "../utils/listQuery.js";
+import logger from "../utils/logger.js";
+import { validateLocation, VALIDATION_LOCATION } from "../utils/validation.js";
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_BULK_BATCH_SIZE = 10000;
+
+// Rejections listed in a bulk response; the count covers all of them
+const MAX_REPORTED_REJECTIONS = 1000;
+
+/**
+ * Largest page a client may request
+ * RECORDS_MAX_PAGE_SIZE overrides it (default 100)
+ */
+const getMaxPageSize = () => {
+  const value = parseInt(process.env.RECORDS_MAX_PAGE_SIZE || "100");
+  return Number.isNaN(value) || value <= 0 ? 100 : value;
+};
+
+/**
+ * Rows per bulk load when the client does not choose
+ * BULK_BATCH_SIZE overrides it (default 1000, at most 10000)
+ */
+const getBulkBatchSize = () => {
+  const value = parseInt(process.env.BULK_BATCH_SIZE || "1000");
+  return Number.isNaN(value) || value <= 0 ? 1000 : Math.min(value, MAX_BULK_BATCH_SIZE);
+};
+
+/**
+ * Longest NDJSON line or CSV record accepted in a bulk upload, in characters
+ * BULK_MAX_RECORD_LENGTH overrides it (default 65536)
+ */
+const getBulkMaxRecordLength = () => {
+  const value = parseInt(process.env.BULK_MAX_RECORD_LENGTH || "65536");
+  return Number.isNaN(value) || value <= 0 ? 65536 : value;
+};
+
+// Keyset directions stored in the cursor
+const PAGE_DIRECTION = Object.freeze({
+  NEXT: "next",
+  PREV: "prev",
+});
+
+// Columns returned for a record, in table order
+const RECORD_COLUMNS = "[RecordID], [REC_QY], [CreatedDate]";
+
+const COMPARISON_OPERATORS = [
+  FILTER_OPERATOR.EQ,
+  FILTER_OPERATOR.NE,
+  FILTER_OPERATOR.GT,
+  FILTER_OPERATOR.GTE,
+  FILTER_OPERATOR.LT,
+  FILTER_OPERATOR.LTE,
+];
+
+// Columns clients may set and their SQL types; RecordID and CreatedDate are assigned by the database
+const WRITABLE_FIELDS = Object.freeze({
+  REC_QY: mssql.Int,
+});
+
+const INT_MIN = -2147483648;
+const INT_MAX = 2147483647;
+
+const recordIdParams = {
+  properties: { id: { type: "integer", minimum: 1, maximum: INT_MAX } },
+  required: ["id"],
+};
+
+const recordFields = {
+  REC_QY: { type: ["integer", "null"], minimum: INT_MIN, maximum: INT_MAX },
+};
+
+// A full record as sent to POST and PUT, and as each row of a bulk upload
+const recordBody = { properties: recordFields, required: ["REC_QY"], additionalProperties: false };
+
+/**
+ * Columns of TestRecords that list queries may filter, sort and select (see src/utils/listQuery.js)
+ * Nothing outside this whitelist reaches the SQL text.
+ */
+const RECORDS_RESOURCE = Object.freeze({
+  key: "RecordID",
+  columns: {
+    RecordID: {
+      type: mssql.Int,
+      kind: COLUMN_KIND.INTEGER,
+      minimum: 1,
+      maximum: INT_MAX,
+      operators: [...COMPARISON_OPERATORS, FILTER_OPERATOR.IN],
+      sortable: true,
+    },
+    REC_QY: {
+      type: mssql.Int,
+      kind: COLUMN_KIND.INTEGER,
+      nullable: true,
+      minimum: INT_MIN,
+      maximum: INT_MAX,
+      operators: [...COMPARISON_OPERATORS, FILTER_OPERATOR.IN, FILTER_OPERATOR.NULL],
+      sortable: true,
+    },
+    CreatedDate: {
+      type: mssql.DateTime,
+      kind: COLUMN_KIND.DATE,
+      nullable: true,
+      operators: [...COMPARISON_OPERATORS, FILTER_OPERATOR.NULL],
+      sortable: true,
+    },
+  },
+  defaultSort: ["RecordID"],
+});
+
+/**
+ * Request schemas for recordsRouter (see validate() in src/utils/validation.js)
+ */
+export const RECORD_SCHEMAS = Object.freeze({
+  list: {
+    query: {
+      properties: {
+        limit: { type: "integer", minimum: 1, maximum: getMaxPageSize },
+        cursor: { type: "string" },
+        filter: { type: "string" },
+        sort: { type: "string" },
+        fields: { type: "string" },
+      },
+    },
+  },
+  get: { params: recordIdParams },
+  create: { body: recordBody },
+  bulk: {
+    query: {
+      properties: {
+        batchSize: { type: "integer", minimum: 1, maximum: MAX_BULK_BATCH_SIZE, default: getBulkBatchSize },
+        transaction: { type: "boolean", default: false },
+      },
+    },
+  },
+  // PUT sets every writable field, PATCH at least one
+  replace: { params: recordIdParams, body: recordBody },
+  update: {
+    params: recordIdParams,
+    body: { properties: recordFields, additionalProperties: false, minProperties: 1 },
+  },
+  delete: { params: recordIdParams },
+});
+
+/**
+ * The first row of a recordset with its column metadata, or null if it is empty
+ */
+const firstRecord = (recordset) => (recordset.length > 0 ? withColumns(recordset[0], recordset.columns) : null);
+
+const recordNotFound = (id) => new ApiError(404, "RECORD_NOT_FOUND", `Record ${id} not found`);
+
+/**
+ * Pass an error on to errorMiddleware; client errors keep their own code and status
+ */
+const forwardError = (next, error, operation) =>
+  next(error instanceof ApiError ? error : new DatabaseError(error, operation));
+
+/**
+ * Pages over TestRecords using keyset pagination, with optional filter, sort and fields
+ *
+ * Keyset instead of OFFSET: each page continues right after (or before) the
+ * sort key stored in the cursor, so page 1000 costs the same as page 1 and rows
+ * inserted meanwhile do not shift pages. RecordID always ends the sort as a
+ * tie-breaker; with the default sort the seek goes straight through the primary key.
+ *
+ * One extra row is fetched to know whether another page exists in the
+ * direction of travel. Previous pages are read in reverse order and reversed
+ * again, so every page is returned in the requested order.
+ *
+ * Query Parameters (validated by recordsRouter, compiled by src/utils/listQuery.js):
+ * - limit: rows per page (default 25, at most RECORDS_MAX_PAGE_SIZE)
+ * - cursor: nextCursor or prevCursor from an earlier page; omit for the first page
+ * - filter: e.g. REC_QY:gte:5,CreatedDate:lt:2026-01-01
+ * - sort: e.g. -CreatedDate (default RecordID)
+ * - fields: e.g. RecordID,REC_QY (default all)
+ *
+ * Response Format:
+ * {"success": true, "data": [{"RecordID": 26, "REC_QY": 1, "CreatedDate": "..."}, ...],
+ *  "meta": {"pool": "default", "limit": 25, "sort": "RecordID", "hasMore": true, "nextCursor": "...", "prevCursor": "..."}}
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express error handler middleware
+ */
+export const listRecords = async (req, res, next) => {
+  const { limit = Math.min(DEFAULT_PAGE_SIZE, getMaxPageSize()), cursor, filter, sort, fields } = req.validated.query;
+
+  try {
+    const spec = parseListQuery({ filter, sort, fields }, RECORDS_RESOURCE);
+
+    let position = null;
+    let after = null;
+    if (cursor !== undefined) {
+      position = decodeCursor(cursor);
+      if (!position || !Object.values(PAGE_DIRECTION).includes(position.direction)) {
+        throw new ApiError(400, "INVALID_CURSOR", "cursor is invalid; start again from the first page");
+      }
+      // Sort keys only make sense for the order and the result set they were taken from
+      if (position.sort !== spec.signature) {
+        throw new ApiError(400, "INVALID_CURSOR", "cursor was created for a different sort; start again from the first page");
+      }
+      if (position.filter !== spec.filterSignature) {
+        throw new ApiError(400, "INVALID_CURSOR", "cursor was created for a different filter; start again from the first page");
+      }
+      after = parseSortKey(spec, position.key, RECORDS_RESOURCE);
+      if (!after) {
+        throw new ApiError(400, "INVALID_CURSOR", "cursor is invalid; start again from the first page");
+      }
+    }
+    const backwards = position?.direction === PAGE_DIRECTION.PREV;
+
+    debugMSSQL("Fetching TestRecords page: limit %d, query %O, cursor %O", limit, spec, position);
+
+    let servedBy = null;
+    const rows = await executeQuery(async (localPool, poolName) => {
+      servedBy = poolName;
+      const request = localPool.request().input("take", mssql.Int, limit + 1);
+      const { columns, where, orderBy } = compileListQuery(spec, RECORDS_RESOURCE, request, { after, backwards });
+      const queryResult = await request.query(`SELECT TOP (@take) ${columns} FROM TestRecords ${where} ${orderBy};`);
+      return queryResult.recordset;
+    }, "listRecords", { intent: QUERY_INTENT.READ, retry: true, req });
+
+    const hasExtra = rows.length > limit;
+    // Keep the recordset's column metadata so the page serializes with its SQL types
+    const page = Object.assign(rows.slice(0, limit), { columns: rows.columns });
+    if (backwards) page.reverse();
+
+    const first = page.at(0);
+    const last = page.at(-1);
+    // Moving forward, a next page exists only if the extra row came back; moving
+    // backwards we came from the next page, so it exists whenever this page is not empty
+    const hasNext = backwards ? page.length > 0 : hasExtra;
+    const hasPrev = backwards ? hasExtra : position !== null && page.length > 0;
+    const cursorFor = (direction, row) =>
+      encodeCursor({ direction, sort: spec.signature, filter: spec.filterSignature, key: getSortKey(spec, row) });
+
+    sendJSON(res, {
+      success: true,
+      data: selectFields(spec, page),
+      meta: {
+        pool: servedBy,
+        limit,
+        sort: spec.signature,
+        hasMore: hasNext,
+        nextCursor: hasNext ? cursorFor(PAGE_DIRECTION.NEXT, last) : null,
+        prevCursor: hasPrev ? cursorFor(PAGE_DIRECTION.PREV, first) : null,
+      },
+    });
+  } catch (error) {
+    forwardError(next, error, "listRecords");
+  }
+};
+
+/**
+ * Fetch one TestRecords row by RecordID
+ *
+ * Response Format:
+ * {"success": true, "data": {"RecordID": 42, "REC_QY": 7, "CreatedDate": "..."}}
+ * 404 RECORD_NOT_FOUND if no row has that RecordID.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express error handler middleware
+ */
+export const getRecord = async (req, res, next) => {
+  try {
+    const { id } = req.validated.params;
+    const record = await executeQuery(async (localPool) => {
+      const queryResult = await localPool
+        .request()
+        .input("id", mssql.Int, id)
+        .query(`SELECT ${RECORD_COLUMNS} FROM TestRecords WHERE [RecordID] = @id;`);
+      return firstRecord(queryResult.recordset);
+    }, "getRecord", { intent: QUERY_INTENT.READ, retry: true, req });
+
+    if (!record) return next(recordNotFound(id));
+    sendJSON(res, { success: true, data: record });
+  } catch (error) {
+    forwardError(next, error, "getRecord");
+  }
+};
+
+/**
+ * Insert a TestRecords row
+ *
+ * Body: {"REC_QY": 7} (REC_QY required, INT or null)
+ * Responds 201 with the inserted row, as returned by OUTPUT inserted.*, and a
+ * Location header pointing at it. Never retried: a retry after a lost reply
+ * could insert the row twice.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express error handler middleware
+ */
+export const createRecord = async (req, res, next) => {
+  try {
+    const fields = req.validated.body;
+    const record = await executeQuery(async (localPool) => {
+      const queryResult = await localPool
+        .request()
+        .input("recQy", WRITABLE_FIELDS.REC_QY, fields.REC_QY)
+        .query("INSERT INTO TestRecords ([REC_QY]) OUTPUT inserted.* VALUES (@recQy);");
+      return firstRecord(queryResult.recordset);
+    }, "createRecord", { intent: QUERY_INTENT.WRITE, req });
+
+    debugMSSQL("Created TestRecords row %d", record.RecordID);
+    res.location(`${req.baseUrl}/${record.RecordID}`);
+    sendJSON(res, { success: true, data: record }, 201);
+  } catch (error) {
+    forwardError(next, error, "createRecord");
+  }
+};
+
+/**
+ * Update the given fields of a TestRecords row and return it via OUTPUT inserted.*
+ * Setting columns to fixed values is idempotent, so the update may be retried.
+ */
+const updateRecordFields = async (req, res, next, operationName) => {
+  try {
+    const { id } = req.validated.params;
+    const fields = req.validated.body;
+    const record = await executeQuery(async (localPool) => {
+      const request = localPool.request().input("id", mssql.Int, id);
+      // Column names come from WRITABLE_FIELDS, never from the request
+      const assignments = Object.keys(WRITABLE_FIELDS).filter((field) => fields[field] !== undefined).map((field, index) => {
+        request.input(`value${index}`, WRITABLE_FIELDS[field], fields[field]);
+        return `[${field}] = @value${index}`;
+      });
+      const queryResult = await request.query(
+        `UPDATE TestRecords SET ${assignments.join(", ")} OUTPUT inserted.* WHERE [RecordID] = @id;`
+      );
+      return firstRecord(queryResult.recordset);
+    }, operationName, { intent: QUERY_INTENT.WRITE, retry: true, idempotent: true, req });
+
+    if (!record) return next(recordNotFound(id));
+    sendJSON(res, { success: true, data: record });
+  } catch (error) {
+    forwardError(next, error, operationName);
+  }
+};
+
+/**
+ * Replace the writable fields of a TestRecords row (PUT)
+ *
+ * Body: {"REC_QY": 7} (every writable field required)
+ * Responds 200 with the updated row, 404 RECORD_NOT_FOUND if it does not exist.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express error handler middleware
+ */
+export const replaceRecord = (req, res, next) => updateRecordFields(req, res, next, "replaceRecord");
+
+/**
+ * Update some fields of a TestRecords row (PATCH)
+ *
+ * Body: any non-empty subset of the writable fields, e.g. {"REC_QY": null}
+ * Responds 200 with the updated row, 404 RECORD_NOT_FOUND if it does not exist.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express error handler middleware
+ */
+export const updateRecord = (req, res, next) => updateRecordFields(req, res, next, "updateRecord");
+
+/**
+ * Delete a TestRecords row
+ * Responds 204 without a body, 404 RECORD_NOT_FOUND if it does not exist.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express error handler middleware
+ */
+export const deleteRecord = async (req, res, next) => {
+  try {
+    const { id } = req.validated.params;
+    const deleted = await executeQuery(async (localPool) => {
+      const queryResult = await localPool
+        .request()
+        .input("id", mssql.Int, id)
+        .query("DELETE FROM TestRecords OUTPUT deleted.[RecordID] WHERE [RecordID] = @id;");
+      return queryResult.recordset.length > 0;
+    }, "deleteRecord", { intent: QUERY_INTENT.WRITE, retry: true, idempotent: true, req });
+
+    if (!deleted) return next(recordNotFound(id));
+    debugMSSQL("Deleted TestRecords row %d", id);
+    res.status(204).end();
+  } catch (error) {
+    forwardError(next, error, "deleteRecord");
+  }
+};
+
+// Upload formats accepted by bulkInsertRecords, by Content-Type
+const BULK_FORMAT = Object.freeze({
+  NDJSON: "ndjson",
+  CSV: "csv",
+});
+
+const BULK_CONTENT_TYPES = {
+  "application/x-ndjson": BULK_FORMAT.NDJSON,
+  "application/ndjson": BULK_FORMAT.NDJSON,
+  "application/jsonl": BULK_FORMAT.NDJSON,
+  "text/csv": BULK_FORMAT.CSV,
+};
+
+/**
+ * Split a stream of text chunks into lines, holding one line in memory at a time
+ * @param {AsyncIterable<string>} source - Text chunks
+ * @param {number} maxLength - Longest line in characters
+ * @yields {{ line: number, text?: string, tooLong?: boolean }} A line, or `tooLong`
+ *   for a line over maxLength, which is the last one yielded
+ */
+const readLines = async function* (source, maxLength) {
+  let text = "";
+  let line = 1;
+  for await (const chunk of source) {
+    let start = 0;
+    for (let end = chunk.indexOf("\n"); end !== -1; end = chunk.indexOf("\n", start)) {
+      text += chunk.slice(start, end);
+      if (text.length > maxLength) break;
+      yield { line, text };
+      text = "";
+      line++;
+      start = end + 1;
+    }
+    if (text.length <= maxLength) text += chunk.slice(start);
+    if (text.length > maxLength) {
+      yield { line, tooLong: true };
+      return;
+    }
+  }
+  if (text !== "") yield { line, text };
+};
+
+/**
+ * Stop an upload whose line or record is over the length limit
+ * Everything before it was already read, so the rest of the body cannot be trusted to line up
+ */
+const createRecordTooLongError = (line, maxLength) =>
+  new ApiError(400, "VALIDATION_ERROR", `Line ${line} is longer than ${maxLength} characters; upload stopped`, [
+    { line, field: null, message: `is longer than ${maxLength} characters` },
+  ]);
+
+/**
+ * Read upload rows one at a time, without buffering the body
+ *
+ * NDJSON: one JSON object per line. CSV: a header record naming the columns,
+ * then one record per row; empty fields are null. A line or record longer than
+ * BULK_MAX_RECORD_LENGTH stops the upload with a 400 VALIDATION_ERROR, so a
+ * missing newline or an unterminated quote cannot hold the whole body in memory.
+ *
+ * @param {Object} req - Express request (body not yet consumed)
+ * @param {string} format - One of BULK_FORMAT
+ * @yields {{ line: number, row?: Object, message?: string }} A row, or why its line cannot be read
+ * @throws {ApiError} 400 VALIDATION_ERROR for a line or record over the length limit
+ */
+const readUploadRows = async function* (req, format) {
+  req.setEncoding("utf8");
+  const maxLength = getBulkMaxRecordLength();
+
+  if (format === BULK_FORMAT.NDJSON) {
+    for await (const { line, text, tooLong } of readLines(req, maxLength)) {
+      if (tooLong) throw createRecordTooLongError(line, maxLength);
+      if (text.trim() === "") continue;
+      try {
+        yield { line, row: JSON.parse(text) };
+      } catch {
+        yield { line, message: "is not valid JSON" };
+      }
+    }
+    return;
+  }
+
+  let header = null;
+  for await (const { fields, line, error, tooLong } of parseCSVRecords(req, { maxRecordLength: maxLength })) {
+    if (tooLong) throw createRecordTooLongError(line, maxLength);
+    if (fields.length === 1 && fields[0] === "" && !error) continue;
+    if (!header) {
+      header = fields.map((name) => name.trim());
+      continue;
+    }
+    if (error) {
+      yield { line, message: error };
+    } else if (fields.length !== header.length) {
+      yield { line, message: `has ${fields.length} fields, expected ${header.length}` };
+    } else {
+      yield { line, row: Object.fromEntries(header.map((name, index) => [name, fields[index]])) };
+    }
+  }
+};
+
+/**
+ * Bulk load one batch of validated rows into TestRecords
+ * @param {mssql.Request} request - Pool or transaction request
+ * @param {Object[]} rows - Rows holding the writable fields
+ * @returns {Promise<number>} Rows inserted
+ */
+const loadRecordBatch = async (request, rows) => {
+  const table = new mssql.Table("TestRecords");
+  table.create = false;
+  const fields = Object.keys(WRITABLE_FIELDS);
+  for (const field of fields) {
+    table.columns.add(field, WRITABLE_FIELDS[field], { nullable: true });
+  }
+  for (const row of rows) {
+    table.rows.add(...fields.map((field) => row[field]));
+  }
+  const { rowsAffected } = await request.bulk(table);
+  return rowsAffected;
+};
+
+/**
+ * Insert TestRecords rows from a streamed NDJSON or CSV upload
+ *
+ * The body is read as it arrives and validated row by row against the same
+ * schema as POST /api/records (CSV values are converted from text). Valid rows
+ * are collected into batches of `batchSize` and written with one bulk load
+ * (mssql.Table) per batch; reading pauses while a batch loads, so memory use
+ * is bounded by the batch size, not the upload size.
+ *
+ * Without ?transaction=true every batch commits on its own and invalid rows are
+ * skipped. With it, the whole upload runs in one transaction and any invalid
+ * row rolls everything back (400 VALIDATION_ERROR listing the rejected rows).
+ *
+ * Content-Type: application/x-ndjson (or application/ndjson, application/jsonl) or text/csv
+ * Query Parameters (validated by recordsRouter):
+ * - batchSize: rows per bulk load (default BULK_BATCH_SIZE or 1000, at most 10000)
+ * - transaction: all-or-nothing (default false)
+ *
+ * Response Format:
+ * {"success": true, "data": {"inserted": 9998, "rejected": 2,
+ *   "rejections": [{"line": 17, "field": "REC_QY", "message": "must be an integer or null"}, ...]},
+ *  "meta": {"format": "ndjson", "batchSize": 1000, "batches": 10, "transaction": false}}
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express error handler middleware
+ */
+export const bulkInsertRecords = async (req, res, next) => {
+  const format = BULK_CONTENT_TYPES[req.is(Object.keys(BULK_CONTENT_TYPES)) || ""];
+  if (!format) {
+    return next(new ApiError(
+      415,
+      "UNSUPPORTED_MEDIA_TYPE",
+      `Content-Type must be one of: ${Object.keys(BULK_CONTENT_TYPES).join(", ")}`
+    ));
+  }
+  const { batchSize, transaction } = req.validated.query;
+
+  const counts = { inserted: 0, rejected: 0, batches: 0 };
+  const rejections = [];
+  // One rejected row may have several failing fields; each is listed
+  const reject = (line, errors) => {
+    counts.rejected++;
+    for (const { field, message } of errors) {
+      if (rejections.length < MAX_REPORTED_REJECTIONS) {
+        rejections.push({ line, field, message });
+      }
+    }
+  };
+
+  /**
+   * Read, validate and load the whole upload
+   * CLOSURE: updates `counts` and `rejections`; `load` writes one batch
+   */
+  const ingest = async (load) => {
+    let batch = [];
+    const flush = async () => {
+      // In a transaction, a rejected row means rollback: stop loading, keep validating
+      if (batch.length > 0 && !(transaction && counts.rejected > 0)) {
+        counts.inserted += await load(batch);
+        counts.batches++;
+      }
+      batch = [];
+    };
+
+    for await (const { line, row, message } of readUploadRows(req, format)) {
+      if (message) {
+        reject(line, [{ field: null, message }]);
+        continue;
+      }
+      const errors = [];
+      const values = validateLocation(row, recordBody, VALIDATION_LOCATION.BODY, errors, format === BULK_FORMAT.CSV);
+      if (errors.length > 0) {
+        reject(line, errors);
+        continue;
+      }
+      batch.push(values);
+      if (batch.length >= batchSize) await flush();
+    }
+    await flush();
+
+    if (transaction && counts.rejected > 0) {
+      throw new ApiError(
+        400,
+        "VALIDATION_ERROR",
+        `${counts.rejected} rows rejected; nothing was inserted`,
+        rejections
+      );
+    }
+  };
+
+  try {
+    debugMSSQL("Bulk insert into TestRecords: %s, batch size %d, transaction %s", format, batchSize, transaction);
+    if (transaction) {
+      await withTransaction(
+        (tx) => ingest((rows) => loadRecordBatch(tx.request(), rows)),
+        { operationName: "bulkInsertRecords", res }
+      );
+    } else {
+      await ingest((rows) =>
+        executeQuery(
+          (localPool) => loadRecordBatch(localPool.request(), rows),
+          "bulkInsertRecords",
+          { intent: QUERY_INTENT.WRITE, req }
+        )
+      );
+    }
+    debugMSSQL("Bulk insert done: %O", counts);
+
+    sendJSON(res, {
+      success: true,
+      data: { inserted: counts.inserted, rejected: counts.rejected, rejections },
+      meta: { format, batchSize, batches: counts.batches, transaction },
+    });
+  } catch (error) {
+    if (!transaction && counts.inserted > 0) {
+      logger.warn(`bulkInsertRecords failed after committing ${counts.inserted} rows: ${error.message}`);
+    }
+    forwardError(next, error, "bulkInsertRecords");
+  }
+};
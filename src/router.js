@@ -2,6 +2,7 @@ import { Router } from "express";
 import indexRouter from "./routes/indexRouter.js";
 import apiRouter from "./routes/apiRouter.js";
 import healthRouter from "./routes/healthRoutes.js";
+import metricsRouter from "./routes/metricsRouter.js";
 
 const router = Router();
 
@@ -13,5 +14,6 @@ router.use("/ajax", (_req, res, _next) => res.json("AJAX"));
 
 // Monitoring endpoint
 router.use('/health', healthRouter);
+router.use('/metrics', metricsRouter);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,15 @@
+import { Router } from "express";
+import { requireAdminToken } from "../utils/adminAuth.js";
+import { cancelQuery, getInFlightQueries } from "../controllers/adminController.js";
+import { recordRouteBase } from "../utils/metrics.js";
+
+const adminRouter = Router();
+adminRouter.use(recordRouteBase);
+
+// Every admin route requires Authorization: Bearer <ADMIN_TOKEN>
+adminRouter.use(requireAdminToken);
+
+adminRouter.get("/queries", getInFlightQueries);
+adminRouter.delete("/queries/:id", cancelQuery);
+
+export default adminRouter;
@@ -1,5 +1,7 @@
 import { Router } from "express";
+import { recordRouteBase } from "../utils/metrics.js";
 const apiRouter = Router();
+apiRouter.use(recordRouteBase);
 
 apiRouter.get("/", (req, res) => {
   res.json({ message: "Welcome to the API root!" });
@@ -10,14 +12,29 @@ import {
   getInitialTest,
   getRecordCount,
   streamRecords,
+  streamRecordsEvents,
   streamRecords_FOR_JSON_PATH,
   testDatabaseError,
 } from "../controllers/apiController.js";
-apiRouter.get("/initial-test", getInitialTest);
+import { validate } from "../utils/validation.js";
+
+// ?schema=true|1 adds column metadata (see wantsColumnSchema)
+const schemaFlag = { type: "boolean" };
+
+apiRouter.get(
+  "/initial-test",
+  validate({ query: { properties: { recQy: { type: "integer", minimum: 0, maximum: 2147483647, default: 1 } } } }),
+  getInitialTest
+);
 apiRouter.get("/record-count", getRecordCount);
 
-apiRouter.get("/test-stream", streamRecords);
-apiRouter.get("/test-batch", batchRecords);
+apiRouter.get("/test-stream", validate({ query: { properties: { schema: schemaFlag } } }), streamRecords);
+apiRouter.get(
+  "/test-stream-events",
+  validate({ query: { properties: { batchSize: { type: "integer", minimum: 1, maximum: 1000 }, schema: schemaFlag } } }),
+  streamRecordsEvents
+);
+apiRouter.get("/test-batch", validate({ query: { properties: { schema: schemaFlag } } }), batchRecords);
 apiRouter.get("/test-stream-for-json-path", streamRecords_FOR_JSON_PATH);
 
 import { getBadTest } from "../controllers/apiController.js";
@@ -26,6 +43,18 @@ apiRouter.get("/failure-test", getBadTest);
 // Test endpoint for database error handling
 apiRouter.get("/test-db-error", testDatabaseError);
 
+// TestRecords resource
+import recordsRouter from "./recordsRouter.js";
+apiRouter.use("/records", recordsRouter);
+
+// Stored procedure gateway (registered procedures only)
+import proceduresRouter from "./proceduresRouter.js";
+apiRouter.use("/procedures", proceduresRouter);
+
+// Admin endpoints (in-flight query listing and cancellation)
+import adminRouter from "./adminRouter.js";
+apiRouter.use("/admin", adminRouter);
+
 import { errorMiddleware } from '../utils/errorHandler.js';
 
 // 404 handler for unknown API routes (must be before error middleware)
@@ -1,9 +1,12 @@
 import { Router } from "express";
+import { checkLiveness, checkReadiness, READINESS_STATUS } from "../services/health.js";
+import { recordRouteBase } from "../utils/metrics.js";
 
 const router = Router();
+router.use(recordRouteBase);
 
 // Monitoring endpoint
-router.get('/health/threads', (req, res) => {
+router.get('/threads', (req, res) => {
     const resources = process.getActiveResourcesInfo();
     res.json({
         activeResources: resources,
@@ -11,4 +14,25 @@ router.get('/health/threads', (req, res) => {
     });
 });
 
-export default router;
\ No newline at end of file
+// Liveness probe: process is responsive (never checks the database)
+router.get('/live', async (req, res, next) => {
+    try {
+        const report = await checkLiveness();
+        res.status(report.status === 'alive' ? 200 : 503).json(report);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Readiness probe: pool healthy and not shutting down; "degraded" still serves traffic
+router.get('/ready', async (req, res, next) => {
+    try {
+        const report = await checkReadiness();
+        res.set('Cache-Control', 'no-store');
+        res.status(report.status === READINESS_STATUS.NOT_READY ? 503 : 200).json(report);
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
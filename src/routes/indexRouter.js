@@ -1,7 +1,9 @@
 import express from 'express';
 const router = express.Router();
+router.use(recordRouteBase);
 
 import controller from '../controllers/indexController.js';
+import { recordRouteBase } from '../utils/metrics.js';
 
 
 /* GET home page. */
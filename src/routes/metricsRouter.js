@@ -0,0 +1,17 @@
+import { Router } from "express";
+import { METRICS_CONTENT_TYPE, recordRouteBase, renderMetrics } from "../utils/metrics.js";
+
+const router = Router();
+router.use(recordRouteBase);
+
+// Prometheus scrape endpoint (text exposition format)
+router.get("/", async (req, res, next) => {
+    try {
+        res.set("Content-Type", METRICS_CONTENT_TYPE);
+        res.send(await renderMetrics());
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
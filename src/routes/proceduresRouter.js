@@ -0,0 +1,19 @@
+import { Router } from "express";
+import { callProcedure } from "../controllers/proceduresController.js";
+import { recordRouteBase } from "../utils/metrics.js";
+import { validate } from "../utils/validation.js";
+
+const proceduresRouter = Router();
+proceduresRouter.use(recordRouteBase);
+
+// POST /api/procedures/:name (registered procedures only, see src/services/procedures.js)
+proceduresRouter.post(
+  "/:name",
+  validate({
+    params: { properties: { name: { type: "string", maxLength: 128 } }, required: ["name"] },
+    query: { properties: { schema: { type: "boolean" } } },
+  }),
+  callProcedure
+);
+
+export default proceduresRouter;
@@ -0,0 +1,30 @@
+import { Router } from "express";
+import {
+  bulkInsertRecords,
+  createRecord,
+  deleteRecord,
+  getRecord,
+  listRecords,
+  RECORD_SCHEMAS,
+  replaceRecord,
+  updateRecord,
+} from "../controllers/recordsController.js";
+import { recordRouteBase } from "../utils/metrics.js";
+import { validate } from "../utils/validation.js";
+
+const recordsRouter = Router();
+recordsRouter.use(recordRouteBase);
+
+// GET /api/records?limit=&cursor= (keyset pagination by RecordID)
+recordsRouter.get("/", validate(RECORD_SCHEMAS.list), listRecords);
+recordsRouter.post("/", validate(RECORD_SCHEMAS.create), createRecord);
+
+// POST /api/records/bulk?batchSize=&transaction= (NDJSON or CSV upload)
+recordsRouter.post("/bulk", validate(RECORD_SCHEMAS.bulk), bulkInsertRecords);
+
+recordsRouter.get("/:id", validate(RECORD_SCHEMAS.get), getRecord);
+recordsRouter.put("/:id", validate(RECORD_SCHEMAS.replace), replaceRecord);
+recordsRouter.patch("/:id", validate(RECORD_SCHEMAS.update), updateRecord);
+recordsRouter.delete("/:id", validate(RECORD_SCHEMAS.delete), deleteRecord);
+
+export default recordsRouter;
@@ -13,7 +13,12 @@ import http from 'http';
 // Local utilities and services
 import { debugServer } from './utils/debug.js';
 import logger from './utils/logger.js';
-import { initializeDatabase, gracefulShutdown as gracefulDatabaseShutdown } from './services/database.js';
+import {
+  initializeDatabase,
+  gracefulShutdown as gracefulDatabaseShutdown,
+  getShutdownDuration,
+} from './services/database.js';
+import { markShuttingDown } from './utils/lifecycle.js';
 
 // Express app
 import app from './app.js';
@@ -118,6 +123,17 @@ function onListening() {
 }
 
 // Graceful shutdown
+// Time in-flight queries get to finish before they are cancelled
+const DRAIN_TIMEOUT = 30000;
+// Slack on top of the database shutdown before the process is killed
+const FORCE_EXIT_MARGIN = 10000;
+
+/**
+ * How long (ms) to keep serving after /health/ready flips to 503 on SIGTERM, so
+ * orchestrators see the failing probe and stop routing here before connections are refused
+ */
+const getReadinessDelay = () => parseInt(process.env.SHUTDOWN_READINESS_DELAY_MS || '5000', 10);
+
 let isShuttingDown = false;
 let forceExitTimer = null;
 
@@ -127,38 +143,51 @@ const gracefulShutdown = async (signal) => {
     return;
   }
   isShuttingDown = true;
+  // Flip /health/ready to 503 before anything else so orchestrators stop routing here
+  markShuttingDown();
 
   logger.info(`Received ${signal}. Shutting down gracefully...`);
+
+  // SIGINT is someone at a terminal; only orchestrators (SIGTERM) need time to notice
+  const readinessDelay = signal === 'SIGTERM' ? getReadinessDelay() : 0;
+  if (readinessDelay > 0) {
+    logger.info(`Waiting ${readinessDelay}ms for load balancers to stop routing here...`);
+    await new Promise((resolve) => setTimeout(resolve, readinessDelay));
+  }
   
-  // Force exit after 40 seconds if graceful shutdown hangs
+  // Force exit if graceful shutdown hangs past the drain, cancel and pool close steps
   forceExitTimer = setTimeout(() => {
     logger.error('Could not close connections in time, forcefully shutting down');
     setImmediate(() => process.exit(1));
-  }, 40000); // 30s drain + 10s buffer
+  }, getShutdownDuration(DRAIN_TIMEOUT) + FORCE_EXIT_MARGIN);
   
   // Stop accepting new connections
   logger.info('Stopping HTTP server from accepting new connections...');
-  server.close(async () => {
-    debugServer(
-      "HTTP server closed (all connections finished), waiting for active queries to complete..."
-    );
+  const serverClosed = new Promise((resolve) => {
+    server.close(() => {
+      debugServer("HTTP server closed (all connections finished)");
+      resolve();
+    });
+  });
+  
+  try {
+    // Drain database work while HTTP connections finish: open streams would keep
+    // server.close() waiting, so stragglers are cancelled after the drain
+    await gracefulDatabaseShutdown(DRAIN_TIMEOUT);
+    debugServer("Database connections closed successfully.");
     
-    try {
-      // Give active database queries time to complete (30 seconds drain)
-      await gracefulDatabaseShutdown(30000);
-      debugServer("Database connections closed successfully.");
-      
-      // Clear force-exit timer since we succeeded
-      if (forceExitTimer) {
-        clearTimeout(forceExitTimer);
-      }
-      
-      process.exit(0);
-    } catch (err) {
-      logger.error('Error closing database connections:', err);
-      process.exit(1);
+    await serverClosed;
+    
+    // Clear force-exit timer since we succeeded
+    if (forceExitTimer) {
+      clearTimeout(forceExitTimer);
     }
-  });
+    
+    process.exit(0);
+  } catch (err) {
+    logger.error('Error closing database connections:', err);
+    process.exit(1);
+  }
 };
 
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
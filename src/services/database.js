@@ -1,207 +1,1045 @@
 import mssql from "mssql";
 import { debugMSSQL } from "../utils/debug.js";
+import logger from "../utils/logger.js";
+import { DatabaseError } from "../utils/errorHandler.js";
+import { buildDbConfig, DatabaseConfigError } from "./databaseConfig.js";
+import { instrumentPoolAcquire, instrumentRequest } from "./slowQueryLog.js";
+import {
+  createGauge,
+  dbQueryDuration,
+  poolResets,
+  registerCollector,
+} from "../utils/metrics.js";
+
+export const DEFAULT_POOL_NAME = "default";
 
 let isShuttingDown = false;
-let pool = null;
-let poolConnect = null;
-
-// Validate required environment variables
-const validateEnvironment = () => {
-  const required = ["DB_USER", "DB_PASSWORD", "DB_HOST", "DB_NAME"];
-  const missing = required.filter((key) => !process.env[key]);
-  if (missing.length > 0) {
-    throw new Error(
-      `Missing required environment variables: ${missing.join(", ")}`
-    );
+
+// Registry of named pools: name -> { pool, poolConnect }
+// Each entry keeps the same lazy-connect semantics the single pool used to have
+const pools = new Map();
+
+const getPoolEntry = (name) => {
+  if (!pools.has(name)) {
+    pools.set(name, { pool: null, poolConnect: null });
   }
+  return pools.get(name);
 };
 
+/**
+ * Build the environment variable prefix for a named pool
+ * The default pool reads DB_*, named pools read DB_<NAME>_* (e.g. DB_REPORTING_HOST)
+ * @param {string} name - Pool name
+ * @returns {string} Environment variable prefix
+ */
+export const getEnvPrefix = (name = DEFAULT_POOL_NAME) =>
+  name === DEFAULT_POOL_NAME
+    ? "DB_"
+    : `DB_${name.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_`;
+
+// Replica registry: replica pool name -> primary pool name
+// Replica pools fall back to their primary's settings for anything not overridden
+const replicaPools = new Map();
+
+/**
+ * Name of the read-only replica pool paired with a primary pool
+ * The default pool's replica is "replica" (DB_REPLICA_*), others are "<name>_replica"
+ * @param {string} primaryName - Primary pool name
+ * @returns {string} Replica pool name
+ */
+export const getReplicaPoolName = (primaryName = DEFAULT_POOL_NAME) =>
+  primaryName === DEFAULT_POOL_NAME ? "replica" : `${primaryName}_replica`;
+
 // Create config lazily to ensure environment variables are loaded
-const getDbConfig = () => {
-  validateEnvironment();
+// Replica pools read their own prefix first, then fall back to the primary's
+const getDbConfig = (name = DEFAULT_POOL_NAME) => {
+  const prefix = getEnvPrefix(name);
+  const primaryName = replicaPools.get(name);
+  const fallbackPrefix = primaryName ? getEnvPrefix(primaryName) : null;
+  // Report the variable that actually supplied a value, so inherited settings point at the primary
+  const nameOf = (key) =>
+    process.env[`${prefix}${key}`] === undefined &&
+    fallbackPrefix &&
+    process.env[`${fallbackPrefix}${key}`] !== undefined
+      ? `${fallbackPrefix}${key}`
+      : `${prefix}${key}`;
+  const readEnv = (key) => process.env[nameOf(key)];
+
+  return buildDbConfig({ readEnv, prefix, nameOf, readOnlyIntent: Boolean(primaryName) });
+};
+
+/**
+ * Named pools declared up front in DB_POOLS (comma separated)
+ * @returns {string[]} Pool names, excluding the default pool
+ */
+export const getConfiguredPoolNames = () =>
+  (process.env.DB_POOLS || "").split(",").map((name) => name.trim()).filter(Boolean);
+
+/**
+ * Validate the configuration of every pool known at startup
+ * Covers the default pool, its replica when configured, and pools listed in DB_POOLS
+ * (comma separated names), so every invalid setting is reported before serving requests
+ * @throws {DatabaseConfigError} Listing the issues of every pool
+ */
+export const validateDatabaseConfig = () => {
+  const primaryNames = [DEFAULT_POOL_NAME, ...getConfiguredPoolNames()];
+
+  const validated = [];
+  const issues = [];
+  const validate = (name) => {
+    validated.push(name);
+    try {
+      getDbConfig(name);
+    } catch (err) {
+      if (!(err instanceof DatabaseConfigError)) throw err;
+      issues.push(...err.issues);
+    }
+  };
+
+  for (const primaryName of primaryNames) {
+    validate(primaryName);
+    if (isReplicaConfigured(primaryName)) {
+      const replicaName = getReplicaPoolName(primaryName);
+      replicaPools.set(replicaName, primaryName);
+      validate(replicaName);
+    }
+  }
+
+  if (issues.length > 0) {
+    // Settings inherited by a replica would otherwise be reported twice
+    throw new DatabaseConfigError([...new Set(issues)]);
+  }
+  debugMSSQL("Database configuration valid for pools: %s", validated.join(", "));
+};
+
+// ============================================================================
+// Circuit Breaker
+// ============================================================================
+
+/**
+ * Circuit breaker states
+ * CLOSED: requests flow normally
+ * OPEN: requests fail fast with a 503 until the reset timeout elapses
+ * HALF_OPEN: a single probe request is let through to test the pool
+ */
+export const CIRCUIT_STATE = Object.freeze({
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half_open",
+});
+
+// Circuit breakers per pool: name -> breaker
+const breakers = new Map();
+
+/**
+ * Factory that creates a circuit breaker for one pool
+ *
+ * Settings:
+ * - DB_CIRCUIT_FAILURE_THRESHOLD: consecutive connection failures before opening (default 5)
+ * - DB_CIRCUIT_RESET_TIMEOUT: ms to stay open before letting a probe through (default 30000)
+ *
+ * CLOSURE: state, failures, openedAt and probeStartedAt are shared by all returned methods
+ *
+ * @param {string} name - Pool name, used in logs and errors
+ * @returns {Object} Breaker interface: assertCanRequest, recordSuccess, recordFailure, getState
+ */
+const createCircuitBreaker = (name) => {
+  let state = CIRCUIT_STATE.CLOSED;
+  let failures = 0;
+  let openedAt = 0;
+  let probeStartedAt = 0;
+
+  const getSettings = () => ({
+    threshold: parseInt(process.env.DB_CIRCUIT_FAILURE_THRESHOLD || "5"),
+    resetTimeout: parseInt(process.env.DB_CIRCUIT_RESET_TIMEOUT || "30000"),
+  });
+
+  const transition = (next) => {
+    if (state === next) return;
+    logger.warn(`Circuit breaker for pool "${name}": ${state} -> ${next}`);
+    state = next;
+  };
+
+  const createOpenError = (retryAfterMs) => {
+    const err = new Error(`Circuit breaker is open for pool "${name}"`);
+    err.code = "ECIRCUITOPEN";
+    err.retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    return new DatabaseError(err, "getConnectionPool");
+  };
+
   return {
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    server: process.env.DB_HOST,
-    port: parseInt(process.env.DB_PORT || "1433"),
-    database: process.env.DB_NAME,
-    requestTimeout: 30000, // 30 second timeout for requests
-    connectionTimeout: 15000, // 15 second timeout for initial connection
-    options: {
-      encrypt: false,
-      trustServerCertificate: true,
+    /**
+     * Throws a 503 DatabaseError while the circuit is open
+     * Moves to HALF_OPEN and admits one probe once the reset timeout elapses;
+     * a probe that never reports back is replaced after another reset timeout
+     */
+    assertCanRequest: () => {
+      if (state === CIRCUIT_STATE.CLOSED) return;
+
+      const { resetTimeout } = getSettings();
+      const now = Date.now();
+
+      if (state === CIRCUIT_STATE.OPEN && now - openedAt >= resetTimeout) {
+        transition(CIRCUIT_STATE.HALF_OPEN);
+        probeStartedAt = now;
+        debugMSSQL(`Circuit breaker for pool "${name}" letting probe through`);
+        return;
+      }
+      if (state === CIRCUIT_STATE.HALF_OPEN && now - probeStartedAt >= resetTimeout) {
+        probeStartedAt = now;
+        debugMSSQL(`Circuit breaker for pool "${name}" replacing stale probe`);
+        return;
+      }
+
+      const since = state === CIRCUIT_STATE.OPEN ? openedAt : probeStartedAt;
+      throw createOpenError(resetTimeout - (now - since));
+    },
+    recordSuccess: () => {
+      failures = 0;
+      transition(CIRCUIT_STATE.CLOSED);
     },
-    pool: {
-      max: 25,              // Increased from 10 to handle more concurrent requests
-      min: 5,               // Keep 5 warm connections to reduce latency
-      idleTimeoutMillis: 60000,  // Keep idle connections for 60 seconds
+    recordFailure: () => {
+      failures++;
+      if (state === CIRCUIT_STATE.HALF_OPEN || failures >= getSettings().threshold) {
+        openedAt = Date.now();
+        transition(CIRCUIT_STATE.OPEN);
+      }
     },
+    getState: () => ({
+      pool: name,
+      state,
+      failures,
+      openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+    }),
   };
 };
 
-export const getConnectionPool = async () => {
+const getCircuitBreaker = (name) => {
+  if (!breakers.has(name)) {
+    breakers.set(name, createCircuitBreaker(name));
+  }
+  return breakers.get(name);
+};
+
+/**
+ * Current circuit breaker state for a pool, for health checks and logs
+ * @param {string} name - Pool name
+ * @returns {{pool: string, state: string, failures: number, openedAt: string|null}}
+ */
+export const getCircuitState = (name = DEFAULT_POOL_NAME) => getCircuitBreaker(name).getState();
+
+/**
+ * Circuit breaker state for every pool that has one
+ * @returns {Object[]} One getCircuitState() entry per pool
+ */
+export const getCircuitStates = () => [...breakers.values()].map((breaker) => breaker.getState());
+
+/**
+ * Get (or lazily create) a connected pool by name
+ * @param {string} name - Pool name (default: "default", configured from DB_*)
+ * @returns {Promise<mssql.ConnectionPool>} Connected pool
+ */
+export const getConnectionPool = async (name = DEFAULT_POOL_NAME) => {
   if (isShuttingDown) {
     throw new Error("Cannot get connection pool during shutdown");
   }
 
-  if (!poolConnect) {
+  // Fail fast instead of waiting out connectionTimeout while the database is down
+  const breaker = getCircuitBreaker(name);
+  breaker.assertCanRequest();
+
+  const entry = getPoolEntry(name);
+
+  if (!entry.poolConnect) {
     // Only start connection once, even if called multiple times
-    poolConnect = (async () => {
+    entry.poolConnect = (async () => {
       try {
-        debugMSSQL("Creating new connection pool");
-        const dbConfig = getDbConfig();
+        debugMSSQL(`Creating new connection pool "${name}"`);
+        const dbConfig = getDbConfig(name);
         debugMSSQL(
-          "Database config: server=%s, database=%s, user=%s",
+          "Database config [%s]: server=%s, database=%s, user=%s",
+          name,
           dbConfig.server,
           dbConfig.database,
           dbConfig.user
         );
-        pool = new mssql.ConnectionPool(dbConfig);
+        // Acquire waits are timed per request for the slow query log
+        const pool = instrumentPoolAcquire(new mssql.ConnectionPool(dbConfig));
+        entry.pool = pool;
 
         // Attach error event listeners for automatic recovery
         pool.on("error", async (err) => {
-          debugMSSQL("Pool error event: %O", {
+          debugMSSQL(`Pool "${name}" error event: %O`, {
             message: err.message,
             code: err.code,
           });
           // Mark pool as unhealthy so next call will attempt reconnection
           if (err.code === "ESOCKET" || err.code === "ECONNRESET") {
-            debugMSSQL("Fatal pool error detected: " + err.code + " - resetting pool");
-            await closeAndResetPool();
+            debugMSSQL(`Fatal pool error detected on "${name}": ${err.code} - resetting pool`);
+            await closeAndResetPool(name);
           }
         });
 
         await pool.connect();
-        debugMSSQL("Database connection pool created successfully");
+        breaker.recordSuccess();
+        debugMSSQL(`Database connection pool "${name}" created successfully`);
         return pool;
       } catch (err) {
-        debugMSSQL("Failed to create connection pool: %O", {
+        debugMSSQL(`Failed to create connection pool "${name}": %O`, {
           message: err.message,
           code: err.code,
         });
-        pool = null;
-        poolConnect = null; // Reset to allow retry
+        entry.pool = null;
+        entry.poolConnect = null; // Reset to allow retry
+        breaker.recordFailure();
         throw err;
       }
     })();
   }
-  await poolConnect;
+  await entry.poolConnect;
   
   // Validate pool is still connected
-  if (!pool) {
+  if (!entry.pool) {
     throw new Error("Connection pool is not available. Please try again.");
   }
   
-  return pool;
+  return entry.pool;
 };
 
 /**
- * Safely close and reset the connection pool.
+ * List the names of every pool that has been registered so far
+ * @returns {string[]} Pool names
+ */
+export const getPoolNames = () => [...pools.keys()];
+
+/**
+ * Whether a pool has been created and is currently connected
+ * Does not create the pool or run a query
+ * @param {string} name - Pool name
+ * @returns {boolean}
+ */
+export const isPoolConnected = (name = DEFAULT_POOL_NAME) =>
+  Boolean(pools.get(name)?.pool?.connected);
+
+/**
+ * Utilization of every connected pool, as reported by mssql
+ * @returns {Object[]} { pool, size, available, borrowed, pending } per connected pool
+ */
+export const getPoolStats = () =>
+  [...pools.entries()]
+    .filter(([, entry]) => entry.pool)
+    .map(([name, { pool }]) => ({
+      pool: name,
+      size: pool.size,
+      available: pool.available,
+      borrowed: pool.borrowed,
+      pending: pool.pending,
+    }));
+
+// Pool gauges are rebuilt on every scrape so closed pools disappear
+const poolGauges = ["size", "available", "borrowed", "pending"].map((stat) => ({
+  stat,
+  gauge: createGauge({
+    name: `mssql_pool_${stat}`,
+    help: `mssql connection pool ${stat} connections`,
+    labelNames: ["pool"],
+  }),
+}));
+
+registerCollector(() => {
+  const stats = getPoolStats();
+  for (const { stat, gauge } of poolGauges) {
+    gauge.reset();
+    stats.forEach((entry) => gauge.set({ pool: entry.pool }, entry[stat]));
+  }
+});
+
+/**
+ * Safely close and reset a connection pool.
  * Ensures pool.close() completes before nullifying references.
  * This prevents connection leaks on fatal errors.
+ * @param {string} name - Pool name
  */
-export const closeAndResetPool = async () => {
-  debugMSSQL('Closing and resetting connection pool');
-  if (pool) {
+export const closeAndResetPool = async (name = DEFAULT_POOL_NAME) => {
+  debugMSSQL(`Closing and resetting connection pool "${name}"`);
+  poolResets.inc({ pool: name });
+  const entry = getPoolEntry(name);
+  if (entry.pool) {
     try {
-      await pool.close();
-      debugMSSQL('Pool closed successfully');
+      await entry.pool.close();
+      debugMSSQL(`Pool "${name}" closed successfully`);
     } catch (err) {
-      debugMSSQL(`Error closing pool during reset: ${err.message}`);
+      debugMSSQL(`Error closing pool "${name}" during reset: ${err.message}`);
     }
   }
-  pool = null;
-  poolConnect = null;
+  entry.pool = null;
+  entry.poolConnect = null;
 };
 
 /**
- * Close and reset the connection pool
+ * Close and reset a connection pool
  * Useful for graceful shutdown or restarting after errors
+ * @param {string} name - Pool name
  */
-export const closeConnectionPool = async () => {
+export const closeConnectionPool = async (name = DEFAULT_POOL_NAME) => {
+  const entry = getPoolEntry(name);
   try {
-    if (pool) {
-      debugMSSQL("Closing connection pool");
-      await pool.close();
-      pool = null;
-      debugMSSQL("Connection pool closed successfully");
+    if (entry.pool) {
+      debugMSSQL(`Closing connection pool "${name}"`);
+      await entry.pool.close();
+      entry.pool = null;
+      debugMSSQL(`Connection pool "${name}" closed successfully`);
     }
   } catch (err) {
-    debugMSSQL("Error closing connection pool: %O", { message: err.message });
+    debugMSSQL(`Error closing connection pool "${name}": %O`, { message: err.message });
     // Don't rethrow - let pool cleanup continue
   } finally {
-    poolConnect = null; // Always reset so next call will create new pool
+    entry.poolConnect = null; // Always reset so next call will create new pool
   }
 };
 
 /**
- * Reset the connection pool (close and clear references)
+ * Reset a connection pool (close and clear references)
  * Used to force recreation of the pool
+ * @param {string} name - Pool name
+ */
+export const resetConnectionPool = async (name = DEFAULT_POOL_NAME) => {
+  poolResets.inc({ pool: name });
+  await closeConnectionPool(name);
+  debugMSSQL(`Connection pool "${name}" reset - ready for reconnection`);
+};
+
+// ============================================================================
+// Read Intent Routing
+// ============================================================================
+
+/**
+ * Query intents accepted by executeQuery and getPoolForIntent
+ * READ may be served by a read-only replica, WRITE always goes to the primary
+ */
+export const QUERY_INTENT = Object.freeze({
+  READ: "read",
+  WRITE: "write",
+});
+
+// Cached replica health: replica pool name -> { healthy, checkedAt, pending }
+const replicaHealth = new Map();
+
+/**
+ * Whether a replica is configured for the given primary pool
+ * A replica is only used when its host or connection string (e.g. DB_REPLICA_HOST) is set
+ * @param {string} primaryName - Primary pool name
+ * @returns {boolean}
+ */
+export const isReplicaConfigured = (primaryName = DEFAULT_POOL_NAME) => {
+  const prefix = getEnvPrefix(getReplicaPoolName(primaryName));
+  return Boolean(process.env[`${prefix}HOST`] || process.env[`${prefix}CONNECTION_STRING`]);
+};
+
+/**
+ * Check replica health, caching the result for DB_REPLICA_HEALTH_TTL ms (default 10s)
+ * Concurrent callers share a single in-flight check
+ * @param {string} replicaName - Replica pool name
+ * @returns {Promise<boolean>} Whether the replica is usable
+ */
+const checkReplicaHealth = async (replicaName) => {
+  const ttl = parseInt(process.env.DB_REPLICA_HEALTH_TTL || "10000");
+  const state = replicaHealth.get(replicaName) ?? { healthy: false, checkedAt: 0, pending: null };
+  replicaHealth.set(replicaName, state);
+
+  if (state.pending) {
+    return state.pending;
+  }
+  if (state.checkedAt && Date.now() - state.checkedAt < ttl) {
+    return state.healthy;
+  }
+
+  state.pending = (async () => {
+    const healthy = await isPoolHealthy(replicaName);
+    state.healthy = healthy;
+    state.checkedAt = Date.now();
+    state.pending = null;
+    if (!healthy) {
+      debugMSSQL(`Replica pool "${replicaName}" is unhealthy, reads will use the primary`);
+    }
+    return healthy;
+  })();
+  return state.pending;
+};
+
+/**
+ * Mark a replica as unhealthy so the next read re-checks it before use
+ * @param {string} replicaName - Replica pool name
  */
-export const resetConnectionPool = async () => {
-  await closeConnectionPool();
-  debugMSSQL("Connection pool reset - ready for reconnection");
+const markReplicaUnhealthy = (replicaName) => {
+  const state = replicaHealth.get(replicaName);
+  if (state) {
+    state.healthy = false;
+    state.checkedAt = Date.now();
+  } else {
+    replicaHealth.set(replicaName, { healthy: false, checkedAt: Date.now(), pending: null });
+  }
+};
+
+/**
+ * Resolve the pool that should serve a query with the given intent
+ * READ intent is routed to the replica when one is configured and healthy,
+ * otherwise (or for WRITE intent) the primary pool is used
+ * @param {string} intent - One of QUERY_INTENT
+ * @param {string} primaryName - Primary pool name
+ * @returns {Promise<{pool: mssql.ConnectionPool, poolName: string}>} Pool and the name of the pool serving the query
+ */
+export const getPoolForIntent = async (
+  intent = QUERY_INTENT.WRITE,
+  primaryName = DEFAULT_POOL_NAME
+) => {
+  if (intent === QUERY_INTENT.READ && isReplicaConfigured(primaryName)) {
+    const replicaName = getReplicaPoolName(primaryName);
+    replicaPools.set(replicaName, primaryName);
+
+    if (await checkReplicaHealth(replicaName)) {
+      try {
+        const pool = await getConnectionPool(replicaName);
+        debugMSSQL(`Read intent routed to replica pool "${replicaName}"`);
+        return { pool, poolName: replicaName };
+      } catch (err) {
+        debugMSSQL(`Replica pool "${replicaName}" unavailable, falling back to primary: ${err.message}`);
+        markReplicaUnhealthy(replicaName);
+      }
+    }
+  }
+
+  const pool = await getConnectionPool(primaryName);
+  debugMSSQL(`${intent} intent routed to primary pool "${primaryName}"`);
+  return { pool, poolName: primaryName };
 };
 
 // Connection error codes that warrant pool reset
 const CONNECTION_ERROR_CODES = ["ESOCKET", "ECONNRESET", "ETIMEDOUT", "EHOSTUNREACH"];
 
+/**
+ * Start the accounting for one query attempt
+ * Shared by executeQuery and streamQuery so both feed db_query_duration_seconds,
+ * the circuit breaker and the pool reset on connection errors the same way
+ * CLOSURE: Captures the duration timer and the serving pool; only the first
+ * succeed/fail call counts, later calls are ignored
+ * @param {string} operationName - Name of the operation for metrics
+ * @returns {Object} { connected(poolName), succeed(), fail(err) }
+ *   - connected: records the pool serving the attempt; connect failures before
+ *     that are recorded on the breaker by getConnectionPool itself
+ *   - fail: resolves once the pool has been reset after a connection error
+ */
+export const startQueryAttempt = (operationName) => {
+  const endTimer = dbQueryDuration.startTimer({ operation: operationName });
+  let servingPoolName = null;
+  let settled = false;
+
+  const settle = (outcome) => {
+    if (settled) return false;
+    settled = true;
+    endTimer({ outcome });
+    return true;
+  };
+
+  return {
+    connected: (poolName) => {
+      servingPoolName = poolName;
+    },
+    succeed: () => {
+      if (!settle("success") || !servingPoolName) return;
+      getCircuitBreaker(servingPoolName).recordSuccess();
+    },
+    fail: async (err) => {
+      if (!settle("error") || !servingPoolName) return;
+      // Reset only the pool that served the query on connection errors
+      if (CONNECTION_ERROR_CODES.includes(err?.code)) {
+        debugMSSQL(`Connection error detected, resetting pool "${servingPoolName}"`);
+        if (replicaPools.has(servingPoolName)) {
+          markReplicaUnhealthy(servingPoolName);
+        }
+        getCircuitBreaker(servingPoolName).recordFailure();
+        await resetConnectionPool(servingPoolName);
+      } else {
+        // Any other error (SQL error, request timeout, cancel) came over a working
+        // connection, so it counts as a success and settles a half-open probe
+        getCircuitBreaker(servingPoolName).recordSuccess();
+      }
+    },
+  };
+};
+
+// ============================================================================
+// Transient Fault Retry
+// ============================================================================
+
+/**
+ * Default retry policy for executeQuery
+ * Retries are opt-in per operation via the `retry` option
+ * - retryableErrorNumbers: SQL Server error numbers (1205 deadlock victim, Azure SQL transient errors)
+ * - retryableCodes: mssql/tedious driver error codes
+ */
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+  maxAttempts: 3,
+  baseDelayMs: 100,
+  maxDelayMs: 2000,
+  retryableErrorNumbers: [1205, 4060, 4221, 10928, 10929, 40197, 40501, 40613, 49918, 49919, 49920],
+  retryableCodes: [...CONNECTION_ERROR_CODES, "ETIMEOUT", "ECONNCLOSED"],
+  allowNonIdempotent: false,
+});
+
+/**
+ * Merge caller overrides onto the default retry policy
+ * @param {boolean|Object} retry - true for the defaults, or a partial policy
+ * @returns {Object|null} Resolved policy, or null when retries are disabled
+ */
+export const createRetryPolicy = (retry) => {
+  if (!retry) return null;
+  return { ...DEFAULT_RETRY_POLICY, ...(retry === true ? {} : retry) };
+};
+
+// SQL error numbers can sit on the error itself or on the wrapped driver error
+const getSqlErrorNumber = (err) =>
+  err?.number ?? err?.originalError?.number ?? err?.originalError?.info?.number;
+
+/**
+ * Whether an error is transient under the given policy
+ * @param {Error} err - Error thrown by the query
+ * @param {Object} policy - Resolved retry policy
+ * @returns {boolean}
+ */
+export const isTransientError = (err, policy = DEFAULT_RETRY_POLICY) =>
+  policy.retryableCodes.includes(err?.code) ||
+  policy.retryableErrorNumbers.includes(getSqlErrorNumber(err));
+
+/**
+ * Exponential backoff with jitter: half the exponential delay is fixed, half random
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} policy - Resolved retry policy
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempt, policy) => {
+  const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ============================================================================
+// In-Flight Query Registry
+// ============================================================================
+
+// Every running query: id -> { id, operationName, route, streaming, poolName, startedAt, cancelReason, cancel }
+const inFlightQueries = new Map();
+let nextQueryId = 1;
+// Resolvers waiting for the registry to empty (used by gracefulShutdown)
+let drainWaiters = [];
+
+/**
+ * Describe the HTTP route that started a query, for listings and logs
+ * @param {Object|null} req - Express request object
+ * @returns {string|null} e.g. "GET /api/test-stream"
+ */
+const describeRoute = (req) => (req ? `${req.method} ${req.originalUrl}` : null);
+
+/**
+ * Register a running query so it can be listed and cancelled
+ *
+ * @param {Object} info
+ * @param {string} info.operationName - Name of the operation for logging
+ * @param {Object} info.req - Express request that started the query (optional)
+ * @param {boolean} info.streaming - Whether rows are streamed to the client
+ * @param {string} info.poolName - Pool the query runs on
+ * @param {Function} info.cancel - (reason) => void; stops the query and ends its response
+ * @returns {{id: string, complete: Function}} Handle; call complete() when the query finishes
+ */
+export const registerInFlightQuery = ({
+  operationName,
+  req = null,
+  streaming = false,
+  poolName = DEFAULT_POOL_NAME,
+  cancel,
+}) => {
+  const id = String(nextQueryId++);
+  inFlightQueries.set(id, {
+    id,
+    operationName,
+    route: describeRoute(req),
+    streaming,
+    poolName,
+    startedAt: new Date(),
+    cancelReason: null,
+    cancel,
+  });
+
+  return {
+    id,
+    complete: () => {
+      inFlightQueries.delete(id);
+      if (inFlightQueries.size === 0 && drainWaiters.length > 0) {
+        drainWaiters.forEach((resolve) => resolve());
+        drainWaiters = [];
+      }
+    },
+  };
+};
+
+/**
+ * Snapshot of every running query
+ * @returns {Object[]} { id, operationName, route, streaming, poolName, startedAt, elapsedMs, cancelReason }
+ */
+export const listInFlightQueries = () =>
+  [...inFlightQueries.values()].map(({ cancel: _cancel, startedAt, ...info }) => ({
+    ...info,
+    startedAt: startedAt.toISOString(),
+    elapsedMs: Date.now() - startedAt.getTime(),
+  }));
+
+/**
+ * Cancel one running query
+ * @param {string} id - Query id from listInFlightQueries()
+ * @param {string} reason - Reason reported to the client and logs
+ * @returns {boolean} false when no query has that id
+ */
+export const cancelInFlightQuery = (id, reason = "Query cancelled") => {
+  const entry = inFlightQueries.get(String(id));
+  if (!entry) return false;
+
+  entry.cancelReason = reason;
+  logger.warn(`Cancelling query ${entry.id} (${entry.operationName}, ${entry.route ?? "no route"}): ${reason}`);
+  try {
+    entry.cancel(reason);
+  } catch (cancelError) {
+    debugMSSQL(`Error cancelling query ${entry.id}: %O`, cancelError);
+  }
+  return true;
+};
+
+/**
+ * Wait until no queries are running, or the timeout passes
+ * @param {number} timeout - Maximum wait in milliseconds
+ * @returns {Promise<boolean>} true if the registry drained in time
+ */
+const waitForInFlightQueries = (timeout) =>
+  new Promise((resolve) => {
+    if (inFlightQueries.size === 0) {
+      resolve(true);
+      return;
+    }
+    const timer = setTimeout(() => resolve(false), timeout);
+    drainWaiters.push(() => {
+      clearTimeout(timer);
+      resolve(true);
+    });
+  });
+
+/**
+ * Wrap a pool so requests it creates are tracked for cancellation and timing
+ * Everything except request() is forwarded to the real pool
+ */
+const createTrackedPool = (pool, trackRequest) =>
+  new Proxy(pool, {
+    get: (target, prop) => {
+      if (prop === "request") {
+        return () => trackRequest(target.request());
+      }
+      const value = Reflect.get(target, prop, target);
+      return typeof value === "function" ? value.bind(target) : value;
+    },
+  });
+
 /**
  * Execute a database query with automatic error handling and pool recovery
  * Handles connection errors and logs all database operations
- * @param {Function} queryFn - Async function that executes the query
+ * The query is listed in the in-flight registry until it settles, and every
+ * request it creates is timed for the slow query log (see slowQueryLog.js)
+ * @param {Function} queryFn - Async function that executes the query, called with (pool, poolName, { trackRequest })
  * @param {string} operationName - Name of the operation for logging
+ * @param {Object} options - Execution options
+ * @param {string} options.poolName - Primary pool the query runs against
+ * @param {string} options.intent - QUERY_INTENT.READ may be served by the replica (default: WRITE)
+ * @param {boolean|Object} options.retry - Opt into transient fault retries (true or a partial policy)
+ * @param {boolean} options.idempotent - Whether queryFn is safe to repeat (default: true for READ intent)
+ * @param {Object} options.req - Express request, recorded as the query's route
  * @returns {Promise} Result from queryFn
  */
-export const executeQuery = async (queryFn, operationName = "Database operation") => {
+export const executeQuery = async (
+  queryFn,
+  operationName = "Database operation",
+  {
+    poolName = DEFAULT_POOL_NAME,
+    intent = QUERY_INTENT.WRITE,
+    retry = false,
+    idempotent = intent === QUERY_INTENT.READ,
+    req = null,
+  } = {}
+) => {
+  let policy = createRetryPolicy(retry);
+  if (policy && !idempotent && !policy.allowNonIdempotent) {
+    debugMSSQL(`${operationName} is not idempotent, retries disabled`);
+    policy = null;
+  }
+  const maxAttempts = policy ? Math.max(1, policy.maxAttempts) : 1;
+
+  // Pool serving the current attempt; differs from poolName when a replica serves a read
+  let servingPoolName = poolName;
+
+  // Requests created by queryFn, cancelled together if the query is cancelled
+  // and timed for the slow query log
+  const requests = new Set();
+  const trackRequest = (request) => {
+    requests.add(request);
+    return instrumentRequest(request, { operationName, poolName: servingPoolName });
+  };
+  const tracked = registerInFlightQuery({
+    operationName,
+    req,
+    poolName,
+    cancel: () => {
+      for (const request of requests) {
+        try {
+          request.cancel();
+        } catch (cancelError) {
+          debugMSSQL(`Error canceling ${operationName}: %O`, cancelError);
+        }
+      }
+    },
+  });
+
   try {
-    const result = await queryFn();
-    debugMSSQL(`${operationName} completed successfully`);
-    return result;
-  } catch (err) {
-    debugMSSQL(`${operationName} failed: %O`, {
-      message: err.message,
-      code: err.code,
-      state: err.state,
-    });
-    
-    // Reset pool on connection errors
-    if (CONNECTION_ERROR_CODES.includes(err.code)) {
-      debugMSSQL("Connection error detected, resetting pool");
-      await resetConnectionPool();
+    for (let attempt = 1; ; attempt++) {
+      servingPoolName = poolName;
+      const accounting = startQueryAttempt(operationName);
+      try {
+        const { pool, poolName: resolvedName } = await getPoolForIntent(intent, poolName);
+        servingPoolName = resolvedName;
+        accounting.connected(servingPoolName);
+        const result = await queryFn(
+          createTrackedPool(pool, trackRequest),
+          servingPoolName,
+          { trackRequest }
+        );
+        accounting.succeed();
+        debugMSSQL(`${operationName} completed successfully on pool "${servingPoolName}"`);
+        return result;
+      } catch (err) {
+        debugMSSQL(`${operationName} failed on pool "${servingPoolName}": %O`, {
+          message: err.message,
+          code: err.code,
+          number: getSqlErrorNumber(err),
+          state: err.state,
+          attempt,
+        });
+        await accounting.fail(err);
+
+        if (attempt >= maxAttempts || isShuttingDown || !isTransientError(err, policy)) {
+          throw err;
+        }
+
+        const delay = getRetryDelay(attempt, policy);
+        logger.warn(
+          `${operationName} transient failure (${err.code || getSqlErrorNumber(err)}), ` +
+          `retrying in ${delay}ms (attempt ${attempt + 1} of ${maxAttempts})`
+        );
+        await sleep(delay);
+        requests.clear();
+      }
     }
-    
-    throw err;
+  } finally {
+    tracked.complete();
+  }
+};
+
+// ============================================================================
+// Transactions
+// ============================================================================
+
+// SQL Server savepoint names are limited to 32 characters
+const SAVEPOINT_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,31}$/;
+
+const assertSavepointName = (name) => {
+  if (typeof name !== "string" || !SAVEPOINT_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid savepoint name: ${name}`);
   }
 };
 
 /**
- * Check if the pool is connected and healthy
+ * Roll back a transaction, tolerating transactions SQL Server already aborted
+ * (e.g. deadlock victims) so the original error is the one surfaced
  */
-export const isPoolHealthy = async () => {
+const rollbackQuietly = async (transaction, operationName) => {
   try {
-    await initial_test();
+    await transaction.rollback();
+    debugMSSQL(`${operationName} rolled back`);
+  } catch (rollbackError) {
+    debugMSSQL(`${operationName} rollback skipped: ${rollbackError.message}`);
+  }
+};
+
+/**
+ * Begin, run and commit one transaction on the given pool
+ *
+ * CLOSURE: `tx` methods share `transaction`, `createdRequests` and `disconnected`
+ * so a client disconnect can cancel running requests and block new ones.
+ */
+const runTransaction = async (pool, fn, { isolationLevel, operationName, res, trackRequest }) => {
+  const transaction = new mssql.Transaction(pool);
+  const createdRequests = new Set();
+  let disconnected = false;
+
+  const assertConnected = () => {
+    if (disconnected) {
+      const err = new Error(`Client disconnected during ${operationName}`);
+      err.code = "ECLIENTCLOSED";
+      throw err;
+    }
+  };
+
+  // res 'close' (not req 'close') fires on disconnect; req 'close' fires once the body is read
+  const onClose = () => {
+    if (res.writableFinished) return;
+    disconnected = true;
+    debugMSSQL(`Client disconnected, canceling ${operationName}`);
+    for (const request of createdRequests) {
+      try {
+        request.cancel();
+      } catch (cancelError) {
+        debugMSSQL(`Error canceling ${operationName}: %O`, cancelError);
+      }
+    }
+  };
+
+  const tx = {
+    transaction,
+    /**
+     * Create a request bound to this transaction
+     * @returns {mssql.Request}
+     */
+    request: () => {
+      assertConnected();
+      const request = transaction.request();
+      createdRequests.add(request);
+      return trackRequest(request);
+    },
+    /**
+     * Create a named savepoint inside the transaction
+     * @param {string} name - Savepoint name (letters, digits, underscore; max 32)
+     */
+    savepoint: async (name) => {
+      assertSavepointName(name);
+      await tx.request().input("savepoint", mssql.NVarChar(32), name).query("SAVE TRANSACTION @savepoint;");
+      debugMSSQL(`${operationName} savepoint "${name}" created`);
+    },
+    /**
+     * Roll back to a named savepoint; the transaction stays open
+     * @param {string} name - Savepoint name passed to savepoint()
+     */
+    rollbackTo: async (name) => {
+      assertSavepointName(name);
+      await tx.request().input("savepoint", mssql.NVarChar(32), name).query("ROLLBACK TRANSACTION @savepoint;");
+      debugMSSQL(`${operationName} rolled back to savepoint "${name}"`);
+    },
+  };
+
+  res?.on("close", onClose);
+  try {
+    await transaction.begin(isolationLevel);
+    debugMSSQL(`${operationName} transaction started`);
+    try {
+      const result = await fn(tx);
+      assertConnected();
+      await transaction.commit();
+      debugMSSQL(`${operationName} committed`);
+      return result;
+    } catch (err) {
+      await rollbackQuietly(transaction, operationName);
+      throw err;
+    }
+  } finally {
+    res?.off("close", onClose);
+  }
+};
+
+/**
+ * Run a unit of work inside a transaction
+ *
+ * Commits when `fn` resolves and rolls back when it throws or the client disconnects.
+ * Runs through executeQuery, so logging, circuit breaking and pool resets apply.
+ *
+ * Example Usage:
+ *   const row = await withTransaction(async (tx) => {
+ *     await tx.request().input("id", mssql.Int, id).query("UPDATE ...");
+ *     await tx.savepoint("afterUpdate");
+ *     return (await tx.request().query("SELECT ...")).recordset[0];
+ *   }, { isolationLevel: mssql.ISOLATION_LEVEL.SERIALIZABLE, operationName: "updateRecord", res });
+ *
+ * @param {Function} fn - async (tx) => result; tx exposes request(), savepoint(name), rollbackTo(name), transaction
+ * @param {Object} options
+ * @param {number} options.isolationLevel - One of mssql.ISOLATION_LEVEL (default: READ_COMMITTED)
+ * @param {string} options.operationName - Name of the operation for logging
+ * @param {string} options.poolName - Pool the transaction runs on
+ * @param {Object} options.res - Express response; a disconnect before it finishes rolls back
+ * @param {boolean|Object} options.retryOnDeadlock - Retry the whole unit when chosen as deadlock victim (true or a partial retry policy)
+ * @returns {Promise} Result from fn
+ */
+export const withTransaction = async (
+  fn,
+  {
+    isolationLevel = mssql.ISOLATION_LEVEL.READ_COMMITTED,
+    operationName = "Transaction",
+    poolName = DEFAULT_POOL_NAME,
+    res = null,
+    retryOnDeadlock = false,
+  } = {}
+) => {
+  if (!Object.values(mssql.ISOLATION_LEVEL).includes(isolationLevel)) {
+    throw new Error(`Invalid isolation level for ${operationName}: ${isolationLevel}`);
+  }
+
+  // The whole unit was rolled back, so repeating it is safe
+  const retry = retryOnDeadlock
+    ? {
+        retryableErrorNumbers: [1205],
+        retryableCodes: [],
+        allowNonIdempotent: true,
+        ...(retryOnDeadlock === true ? {} : retryOnDeadlock),
+      }
+    : false;
+
+  return executeQuery(
+    (pool, _poolName, { trackRequest }) =>
+      runTransaction(pool, fn, { isolationLevel, operationName, res, trackRequest }),
+    operationName,
+    { poolName, intent: QUERY_INTENT.WRITE, retry, req: res?.req ?? null }
+  );
+};
+
+/**
+ * Check if a pool is connected and healthy
+ * @param {string} name - Pool name
+ */
+export const isPoolHealthy = async (name = DEFAULT_POOL_NAME) => {
+  try {
+    await initial_test(1, name);
     return true;
   } catch (err) {
-    debugMSSQL("Pool health check failed: %O", { message: err.message });
+    debugMSSQL(`Pool "${name}" health check failed: %O`, { message: err.message });
     return false;
   }
 };
 
-export const initial_test = async (recQy = 1) => {
+export const initial_test = async (recQy = 1, poolName = DEFAULT_POOL_NAME) => {
   // Validate input parameter upfront
   if (typeof recQy !== 'number' || recQy < 0) {
     throw new Error(`Invalid recQy parameter: must be a non-negative number, got ${recQy}`);
   }
 
   // Execute query with automatic error handling and logging
-  return await executeQuery(async () => {
-    const localPool = await getConnectionPool();
+  return await executeQuery(async (localPool) => {
     const request = localPool.request().input("recQy", mssql.Int, recQy);
     
     const result = await request.query("SELECT [REC_QY] = @recQy;");
     return result.recordset;
-  }, "initial_test");
+  }, "initial_test", { poolName });
 };
 
 
@@ -229,6 +1067,7 @@ export const testBadRecord = async () => {
 export const initializeDatabase = async () => {
   try {
     debugMSSQL("Database initialization starting");
+    validateDatabaseConfig();
     await initial_test();
     debugMSSQL("Initial database test passed");
   } catch (err) {
@@ -239,10 +1078,30 @@ export const initializeDatabase = async () => {
     throw err; // Rethrow so caller knows initialization failed
   }
 };
+// Longest wait for cancelled stragglers to finish before the pools close
+const SHUTDOWN_CANCEL_WAIT = 5000;
 
 /**
- * Gracefully close the connection pool, allowing active queries to complete
- * @param {number} drainTimeout - Maximum time (ms) to wait for pool to close
+ * Longest time gracefulShutdown(drainTimeout) can take: the drain, the wait for
+ * cancelled stragglers, then the pool close (each raced against drainTimeout)
+ * Callers size their force-exit timers from this so they never cut the cancel/close step short.
+ *
+ * @param {number} drainTimeout - The drainTimeout passed to gracefulShutdown
+ * @returns {number} Milliseconds
+ */
+export const getShutdownDuration = (drainTimeout) =>
+  drainTimeout + Math.min(SHUTDOWN_CANCEL_WAIT, drainTimeout) + drainTimeout;
+
+/**
+ * Gracefully shut down: drain in-flight queries, cancel stragglers, close every pool
+ *
+ * 1. Reject new pool requests
+ * 2. Wait up to drainTimeout for running queries to finish
+ * 3. Cancel whatever is still running; streaming responses are ended with
+ *    {"success":false,"error":"Server shutting down"}
+ * 4. Close every registered pool
+ *
+ * @param {number} drainTimeout - Maximum time (ms) to wait for queries, and then for the pools, to close
  */
 export const gracefulShutdown = async (drainTimeout = 30000) => {
   if (isShuttingDown) {
@@ -250,28 +1109,52 @@ export const gracefulShutdown = async (drainTimeout = 30000) => {
     return;
   }
   isShuttingDown = true;
-  try {
-    if (pool) {
-      debugMSSQL("Starting graceful shutdown of database pool...");
-      
-      // Use a timeout race to enforce maximum drain time
-      const closePromise = pool.close();
-      const timeoutPromise = new Promise((resolve) => {
-        setTimeout(() => {
-          debugMSSQL(`Warning: Shutdown taking longer than ${drainTimeout}ms`);
-          resolve();
-        }, drainTimeout);
-      });
-      
-      // Race: whichever completes first
-      await Promise.race([closePromise, timeoutPromise]);
-      
-      pool = null;
-      debugMSSQL("Graceful shutdown completed");
+
+  if (inFlightQueries.size > 0) {
+    debugMSSQL(`Waiting up to ${drainTimeout}ms for ${inFlightQueries.size} in-flight queries...`);
+    const drained = await waitForInFlightQueries(drainTimeout);
+
+    if (!drained) {
+      const stragglers = listInFlightQueries();
+      logger.warn(
+        `Cancelling ${stragglers.length} queries still running after ${drainTimeout}ms: ` +
+        stragglers.map((query) => `${query.id} ${query.operationName}`).join(", ")
+      );
+      stragglers.forEach((query) => cancelInFlightQuery(query.id, "Server shutting down"));
+      // Give cancellations a moment to reach SQL Server before the pools close
+      await waitForInFlightQueries(Math.min(SHUTDOWN_CANCEL_WAIT, drainTimeout));
     }
-  } catch (err) {
-    debugMSSQL("Error during graceful shutdown: %O", { message: err.message });
-  } finally {
-    poolConnect = null;
   }
+
+  const closeEntry = async (name, entry) => {
+    try {
+      if (entry.pool) {
+        debugMSSQL(`Starting graceful shutdown of database pool "${name}"...`);
+        
+        // Use a timeout race to enforce maximum drain time
+        const closePromise = entry.pool.close();
+        const timeoutPromise = new Promise((resolve) => {
+          setTimeout(() => {
+            debugMSSQL(`Warning: Shutdown of pool "${name}" taking longer than ${drainTimeout}ms`);
+            resolve();
+          }, drainTimeout);
+        });
+        
+        // Race: whichever completes first
+        await Promise.race([closePromise, timeoutPromise]);
+        
+        entry.pool = null;
+        debugMSSQL(`Graceful shutdown of pool "${name}" completed`);
+      }
+    } catch (err) {
+      debugMSSQL(`Error during graceful shutdown of pool "${name}": %O`, { message: err.message });
+    } finally {
+      entry.poolConnect = null;
+    }
+  };
+
+  // Drain all pools in parallel so the total wait is bounded by drainTimeout
+  await Promise.all(
+    [...pools.entries()].map(([name, entry]) => closeEntry(name, entry))
+  );
 };
@@ -0,0 +1,325 @@
+import fs from "node:fs";
+import { parse as parseConnectionStringEntries } from "@tediousjs/connection-string";
+import mssql from "mssql";
+import { debugMSSQL } from "../utils/debug.js";
+
+/**
+ * Thrown when one or more database settings are missing or invalid
+ * `issues` lists every problem so they can all be fixed in one pass
+ */
+export class DatabaseConfigError extends Error {
+  constructor(issues) {
+    super(`Invalid database configuration:\n${issues.map((issue) => `  - ${issue}`).join("\n")}`);
+    this.name = "DatabaseConfigError";
+    this.issues = issues;
+  }
+}
+
+/**
+ * Supported values for <prefix>AUTH_TYPE and the tedious authentication type they map to
+ * - sql: SQL Server login (USER, PASSWORD)
+ * - ntlm: Windows login (USER, PASSWORD, DOMAIN)
+ * - azure-service-principal: Azure AD app registration (CLIENT_ID, CLIENT_SECRET, TENANT_ID)
+ * - azure-managed-identity: Azure AD managed identity (optional CLIENT_ID)
+ * - azure-access-token: pre-acquired Azure AD token (ACCESS_TOKEN or ACCESS_TOKEN_FILE)
+ */
+export const AUTH_TYPES = Object.freeze({
+  sql: "default",
+  ntlm: "ntlm",
+  "azure-service-principal": "azure-active-directory-service-principal-secret",
+  "azure-managed-identity": "azure-active-directory-msi-vm",
+  "azure-access-token": "azure-active-directory-access-token",
+});
+
+/**
+ * Connection string Authentication= values (case and spaces ignored) and the AUTH_TYPE they select
+ * mssql's own names ("Active Directory Integrated" plus Client Id/Token/... keys) are
+ * recognized through the tedious type its parser derives.
+ */
+const CONNECTION_STRING_AUTH_TYPES = Object.freeze({
+  sqlpassword: "sql",
+  ntlm: "ntlm",
+  activedirectoryserviceprincipal: "azure-service-principal",
+  activedirectorymanagedidentity: "azure-managed-identity",
+  activedirectorymsi: "azure-managed-identity",
+});
+
+// Settings whose values must never be echoed in error messages
+const SECRET_KEYS = ["PASSWORD", "CLIENT_SECRET", "ACCESS_TOKEN", "CONNECTION_STRING"];
+
+/**
+ * Factory for typed environment readers that collect issues instead of throwing
+ *
+ * CLOSURE: every reader appends to the shared `issues` array so the caller can
+ * report all invalid settings at once.
+ *
+ * @param {Function} readEnv - (key) => raw string value or undefined
+ * @param {Function} nameOf - (key) => environment variable name used in issue messages
+ * @returns {Object} Readers: string, integer, boolean, oneOf, plus the issues array
+ */
+const createEnvReader = (readEnv, nameOf) => {
+  const issues = [];
+
+  const describe = (key, raw) =>
+    SECRET_KEYS.includes(key) ? "" : ` (got "${raw}")`;
+
+  const read = (key) => {
+    const raw = readEnv(key);
+    return raw === undefined || raw === "" ? undefined : String(raw).trim();
+  };
+
+  return {
+    issues,
+    addIssue: (key, message) => issues.push(`${nameOf(key)}: ${message}`),
+    string: (key, { fallback, required = false } = {}) => {
+      const value = read(key) ?? fallback;
+      if (required && (value === undefined || value === "")) {
+        issues.push(`${nameOf(key)}: is required`);
+      }
+      return value;
+    },
+    integer: (key, { fallback, min = Number.MIN_SAFE_INTEGER, max = Number.MAX_SAFE_INTEGER } = {}) => {
+      const raw = read(key);
+      if (raw === undefined) return fallback;
+      const value = Number(raw);
+      if (!Number.isInteger(value) || value < min || value > max) {
+        issues.push(`${nameOf(key)}: must be an integer between ${min} and ${max}${describe(key, raw)}`);
+        return fallback;
+      }
+      return value;
+    },
+    boolean: (key, { fallback } = {}) => {
+      const raw = read(key);
+      if (raw === undefined) return fallback;
+      const normalized = raw.toLowerCase();
+      if (["true", "1", "yes"].includes(normalized)) return true;
+      if (["false", "0", "no"].includes(normalized)) return false;
+      issues.push(`${nameOf(key)}: must be true or false${describe(key, raw)}`);
+      return fallback;
+    },
+    oneOf: (key, allowed, { fallback } = {}) => {
+      const raw = read(key);
+      if (raw === undefined) return fallback;
+      const value = raw.toLowerCase();
+      if (!allowed.includes(value)) {
+        issues.push(`${nameOf(key)}: must be one of ${allowed.join(", ")}${describe(key, raw)}`);
+        return fallback;
+      }
+      return value;
+    },
+  };
+};
+
+/**
+ * Parse <prefix>CONNECTION_STRING with the mssql parser
+ * Individual variables (HOST, PORT, ...) override values from the string.
+ * `entries` keeps the raw keys (lowercased) for settings the mssql parser drops
+ * or misreads: Authentication names, ApplicationIntent, Cancel Timeout, Pool Acquire Timeout.
+ */
+const parseConnectionString = (env) => {
+  const connectionString = env.string("CONNECTION_STRING");
+  if (!connectionString) return { entries: new Map() };
+  try {
+    return {
+      ...mssql.ConnectionPool.parseConnectionString(connectionString),
+      entries: parseConnectionStringEntries(connectionString),
+    };
+  } catch (err) {
+    env.addIssue("CONNECTION_STRING", `could not be parsed: ${err.message}`);
+    return { entries: new Map() };
+  }
+};
+
+/**
+ * Integer value of a raw connection string entry, or undefined when absent or invalid
+ */
+const readEntryInteger = (env, parsed, key) => {
+  const raw = parsed.entries.get(key);
+  if (raw === undefined) return undefined;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 0) {
+    env.addIssue("CONNECTION_STRING", `${key} must be a non-negative integer`);
+    return undefined;
+  }
+  return value;
+};
+
+/**
+ * AUTH_TYPE selected by the connection string's Authentication= entry (sql without one)
+ */
+const readConnectionStringAuthType = (env, parsed) => {
+  const raw = parsed.entries.get("authentication");
+  if (raw === undefined) return "sql";
+  const byName = CONNECTION_STRING_AUTH_TYPES[raw.replace(/\s+/g, "").toLowerCase()];
+  if (byName) return byName;
+  const byTediousType = Object.keys(AUTH_TYPES).find(
+    (authType) => authType !== "sql" && AUTH_TYPES[authType] === parsed.authentication_type
+  );
+  if (byTediousType) return byTediousType;
+  env.addIssue("CONNECTION_STRING", `Authentication=${raw} is not supported; set AUTH_TYPE instead`);
+  return "sql";
+};
+
+/**
+ * Read a token for azure-access-token, from ACCESS_TOKEN or the file named by ACCESS_TOKEN_FILE
+ * Locally this stands in for tokens Azure would otherwise issue
+ */
+const readAccessToken = (env, parsed) => {
+  const token = env.string("ACCESS_TOKEN", { fallback: parsed.token });
+  if (token) return token;
+  const tokenFile = env.string("ACCESS_TOKEN_FILE");
+  if (!tokenFile) return undefined;
+  try {
+    return fs.readFileSync(tokenFile, "utf8").trim();
+  } catch (err) {
+    env.addIssue("ACCESS_TOKEN_FILE", `could not be read: ${err.message}`);
+    return undefined;
+  }
+};
+
+/**
+ * Build the tedious `authentication` block for the selected AUTH_TYPE
+ *
+ * AUTH_TYPE and each credential variable override the connection string's
+ * Authentication=, User Id, Password, Client Id, ... entries.
+ * A local token (ACCESS_TOKEN / ACCESS_TOKEN_FILE) set alongside an Azure AD
+ * type is used instead of contacting Azure, so service principal and managed
+ * identity setups can be exercised on a developer machine.
+ */
+const buildAuthentication = (env, parsed) => {
+  const authType = env.oneOf("AUTH_TYPE", Object.keys(AUTH_TYPES)) ?? readConnectionStringAuthType(env, parsed);
+
+  if (authType.startsWith("azure-")) {
+    const token = readAccessToken(env, parsed);
+    if (token) {
+      if (authType !== "azure-access-token") {
+        debugMSSQL(`Using local access token in place of ${authType} authentication`);
+      }
+      return { type: AUTH_TYPES["azure-access-token"], options: { token } };
+    }
+  }
+
+  switch (authType) {
+    case "ntlm":
+      return {
+        type: AUTH_TYPES.ntlm,
+        options: {
+          userName: env.string("USER", { fallback: parsed.user, required: true }),
+          password: env.string("PASSWORD", { fallback: parsed.password, required: true }),
+          domain: env.string("DOMAIN", { fallback: parsed.domain, required: true }),
+        },
+      };
+    case "azure-service-principal":
+      return {
+        type: AUTH_TYPES[authType],
+        options: {
+          // ActiveDirectoryServicePrincipal connection strings carry the app as User Id/Password
+          clientId: env.string("CLIENT_ID", { fallback: parsed.clientId ?? parsed.user, required: true }),
+          clientSecret: env.string("CLIENT_SECRET", { fallback: parsed.clientSecret ?? parsed.password, required: true }),
+          tenantId: env.string("TENANT_ID", { fallback: parsed.tenantId, required: true }),
+        },
+      };
+    case "azure-managed-identity": {
+      const clientId = env.string("CLIENT_ID", { fallback: parsed.clientId ?? parsed.user });
+      return { type: AUTH_TYPES[authType], options: clientId ? { clientId } : {} };
+    }
+    case "azure-access-token":
+      // An unreadable ACCESS_TOKEN_FILE has already been reported
+      if (!env.string("ACCESS_TOKEN_FILE") && !parsed.token) {
+        env.addIssue("ACCESS_TOKEN", "is required (or set ACCESS_TOKEN_FILE)");
+      }
+      return { type: AUTH_TYPES[authType], options: {} };
+    default:
+      return {
+        type: AUTH_TYPES.sql,
+        options: {
+          userName: env.string("USER", { fallback: parsed.user, required: true }),
+          password: env.string("PASSWORD", { fallback: parsed.password, required: true }),
+        },
+      };
+  }
+};
+
+/**
+ * Build and validate an mssql config from environment variables
+ *
+ * Every setting is read as <prefix><KEY>; `readEnv` may fall back to another
+ * prefix (replica pools reuse their primary's settings).
+ *
+ * Settings:
+ * - CONNECTION_STRING: optional base config; individual settings override it. Besides the
+ *   keys mssql understands, Authentication=, ApplicationIntent=ReadOnly, Cancel Timeout and
+ *   Pool Acquire Timeout (both ms) are read from it
+ * - HOST, PORT (1433), NAME, INSTANCE, APP_NAME
+ * - AUTH_TYPE (sql) plus the credentials it needs, see AUTH_TYPES
+ * - REQUEST_TIMEOUT (30000), CONNECTION_TIMEOUT (15000), CANCEL_TIMEOUT (5000)
+ * - POOL_MAX (25), POOL_MIN (5), POOL_IDLE_TIMEOUT (60000), POOL_ACQUIRE_TIMEOUT (30000)
+ * - ENCRYPT (false), TRUST_SERVER_CERTIFICATE (true), READ_ONLY_INTENT
+ *
+ * @param {Object} options
+ * @param {Function} options.readEnv - (key) => raw value for <prefix><key>
+ * @param {string} options.prefix - Prefix used in error messages
+ * @param {Function} options.nameOf - (key) => variable that supplied the value, for error messages
+ * @param {boolean} options.readOnlyIntent - Force read-only intent unless READ_ONLY_INTENT says otherwise (replicas)
+ * @returns {Object} mssql ConnectionPool config
+ * @throws {DatabaseConfigError} Listing every missing or invalid setting
+ */
+export const buildDbConfig = ({
+  readEnv,
+  prefix,
+  nameOf = (key) => `${prefix}${key}`,
+  readOnlyIntent = false,
+}) => {
+  const env = createEnvReader(readEnv, nameOf);
+  const parsed = parseConnectionString(env);
+
+  const server = env.string("HOST", { fallback: parsed.server, required: true });
+  const database = env.string("NAME", { fallback: parsed.database, required: true });
+  const instanceName = env.string("INSTANCE", { fallback: parsed.options?.instanceName });
+  const appName = env.string("APP_NAME", { fallback: parsed.options?.appName });
+  const port = env.integer("PORT", { fallback: parsed.port ?? 1433, min: 1, max: 65535 });
+  const authentication = buildAuthentication(env, parsed);
+
+  const poolMax = env.integer("POOL_MAX", { fallback: parsed.pool?.max ?? 25, min: 1, max: 1000 });
+  const poolMin = env.integer("POOL_MIN", { fallback: parsed.pool?.min ?? 5, min: 0, max: 1000 });
+  if (poolMin > poolMax) {
+    env.addIssue("POOL_MIN", `must not exceed POOL_MAX (${poolMin} > ${poolMax})`);
+  }
+
+  const config = {
+    server,
+    port,
+    database,
+    authentication,
+    // Keep user on the config so logs can show who is connecting
+    user: authentication.options.userName,
+    requestTimeout: env.integer("REQUEST_TIMEOUT", { fallback: parsed.requestTimeout ?? 30000, min: 0, max: 3600000 }),
+    connectionTimeout: env.integer("CONNECTION_TIMEOUT", { fallback: parsed.connectionTimeout ?? 15000, min: 1000, max: 600000 }),
+    options: {
+      encrypt: env.boolean("ENCRYPT", { fallback: parsed.options?.encrypt ?? false }),
+      trustServerCertificate: env.boolean("TRUST_SERVER_CERTIFICATE", { fallback: parsed.options?.trustServerCertificate ?? true }),
+      readOnlyIntent: env.boolean("READ_ONLY_INTENT", {
+        // mssql only recognizes a lowercase "readonly"
+        fallback: readOnlyIntent || parsed.entries.get("applicationintent")?.toLowerCase() === "readonly",
+      }),
+      cancelTimeout: env.integer("CANCEL_TIMEOUT", {
+        fallback: readEntryInteger(env, parsed, "cancel timeout") ?? 5000, min: 0, max: 600000,
+      }),
+      ...(instanceName && { instanceName }),
+      ...(appName && { appName }),
+    },
+    pool: {
+      max: poolMax,
+      min: poolMin,
+      idleTimeoutMillis: env.integer("POOL_IDLE_TIMEOUT", { fallback: parsed.pool?.idleTimeoutMillis ?? 60000, min: 0, max: 86400000 }),
+      acquireTimeoutMillis: env.integer("POOL_ACQUIRE_TIMEOUT", {
+        fallback: readEntryInteger(env, parsed, "pool acquire timeout") ?? 30000, min: 0, max: 600000,
+      }),
+    },
+  };
+
+  if (env.issues.length > 0) {
+    throw new DatabaseConfigError(env.issues);
+  }
+  return config;
+};
@@ -0,0 +1,189 @@
+import {
+  DEFAULT_POOL_NAME,
+  getCircuitState,
+  getConfiguredPoolNames,
+  getReplicaPoolName,
+  isPoolConnected,
+  isPoolHealthy,
+  isReplicaConfigured,
+  CIRCUIT_STATE,
+} from "./database.js";
+import { debugApplication } from "../utils/debug.js";
+import { getShutdownStartedAt, isShuttingDown } from "../utils/lifecycle.js";
+
+export const HEALTH_STATUS = Object.freeze({
+  PASS: "pass",
+  FAIL: "fail",
+});
+
+export const READINESS_STATUS = Object.freeze({
+  READY: "ready",
+  DEGRADED: "degraded",
+  NOT_READY: "not_ready",
+});
+
+/**
+ * Run one check with a deadline and measure its latency
+ *
+ * A check resolves to details (pass), throws (fail) or misses the deadline (fail).
+ *
+ * @param {Function} check - async () => details object
+ * @param {Object} options
+ * @param {number} options.deadline - Milliseconds before the check is failed
+ * @param {boolean} options.critical - Whether failure makes the process not ready
+ * @returns {Promise<Object>} { status, critical, latencyMs, ...details, error? }
+ */
+const runCheck = async (check, { deadline, critical }) => {
+  const start = process.hrtime.bigint();
+  let timer = null;
+  const elapsed = () => Math.round(Number(process.hrtime.bigint() - start) / 1e6);
+
+  try {
+    const details = await Promise.race([
+      check(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Check exceeded ${deadline}ms deadline`)), deadline);
+      }),
+    ]);
+    return { status: HEALTH_STATUS.PASS, critical, latencyMs: elapsed(), ...details };
+  } catch (err) {
+    return { status: HEALTH_STATUS.FAIL, critical, latencyMs: elapsed(), error: err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Check a pool: connected, circuit not open, and a test query succeeds
+ * @param {string} name - Pool name
+ */
+const createPoolCheck = (name) => async () => {
+  const circuit = getCircuitState(name);
+  if (circuit.state === CIRCUIT_STATE.OPEN) {
+    throw new Error(`Circuit breaker is open for pool "${name}"`);
+  }
+  if (!(await isPoolHealthy(name))) {
+    throw new Error(`Health query failed on pool "${name}"`);
+  }
+  return { pool: name, connected: isPoolConnected(name), circuit: circuit.state };
+};
+
+// CLOSURE: latest result per pool, so probes from several orchestrators share one test query
+// per HEALTH_CHECK_CACHE_TTL instead of each running its own
+const poolCheckCache = new Map();
+
+/**
+ * Run a pool check, reusing a result younger than `ttl` ms or a check already under way
+ * @returns {Promise<Object>} Check result; `cached: true` when it was reused
+ */
+const runCachedPoolCheck = (name, { deadline, critical, ttl }) => {
+  const cached = poolCheckCache.get(name);
+  if (cached?.pending) return cached.pending;
+  if (cached && Date.now() - cached.checkedAt < ttl) {
+    return Promise.resolve({ ...cached.result, cached: true });
+  }
+  // runCheck never rejects
+  const pending = runCheck(createPoolCheck(name), { deadline, critical }).then((result) => {
+    poolCheckCache.set(name, { result, checkedAt: Date.now(), pending: null });
+    return result;
+  });
+  poolCheckCache.set(name, { ...cached, pending });
+  return pending;
+};
+
+/**
+ * Liveness: the process is running and its event loop is responsive
+ * Never touches the database, so a database outage does not restart the process
+ * @returns {Promise<Object>} Liveness report
+ */
+export const checkLiveness = async () => {
+  const eventLoop = await runCheck(
+    () =>
+      new Promise((resolve) => {
+        const start = process.hrtime.bigint();
+        setImmediate(() =>
+          resolve({ lagMs: Math.round(Number(process.hrtime.bigint() - start) / 1e6) })
+        );
+      }),
+    { deadline: 1000, critical: true }
+  );
+
+  return {
+    status: eventLoop.status === HEALTH_STATUS.PASS ? "alive" : "unresponsive",
+    uptimeSeconds: Math.round(process.uptime()),
+    timestamp: new Date().toISOString(),
+    checks: { eventLoop },
+  };
+};
+
+/**
+ * Readiness: the process can serve traffic
+ *
+ * Critical checks: not shutting down, default pool healthy within the deadline.
+ * Optional checks: read replicas and pools listed in DB_POOLS; their failure
+ * yields "degraded" (still 200) instead of "not_ready" (503).
+ *
+ * HEALTH_CHECK_TIMEOUT sets the per-check deadline in ms (default 2000).
+ * HEALTH_CHECK_CACHE_TTL sets how long (ms) a pool check result is reused (default 1000, 0 disables).
+ *
+ * @returns {Promise<Object>} Readiness report with per-check status and latency
+ */
+export const checkReadiness = async () => {
+  const deadline = parseInt(process.env.HEALTH_CHECK_TIMEOUT || "2000");
+  const ttl = parseInt(process.env.HEALTH_CHECK_CACHE_TTL || "1000");
+
+  // Skip database checks once draining starts; the answer is already "not ready"
+  if (isShuttingDown()) {
+    return {
+      status: READINESS_STATUS.NOT_READY,
+      timestamp: new Date().toISOString(),
+      checks: {
+        shutdown: {
+          status: HEALTH_STATUS.FAIL,
+          critical: true,
+          latencyMs: 0,
+          error: "Server is shutting down",
+          since: getShutdownStartedAt().toISOString(),
+        },
+      },
+    };
+  }
+
+  const optionalPools = getConfiguredPoolNames();
+  // [check name, pool name, critical]
+  const checks = [
+    ["database", DEFAULT_POOL_NAME, true],
+    ...[DEFAULT_POOL_NAME, ...optionalPools]
+      .filter((name) => isReplicaConfigured(name))
+      .map((name) => [getReplicaPoolName(name), getReplicaPoolName(name), false]),
+    ...optionalPools.map((name) => [name, name, false]),
+  ];
+
+  const results = await Promise.all(
+    checks.map(async ([name, poolName, critical]) => [
+      name,
+      await runCachedPoolCheck(poolName, { deadline, critical, ttl }),
+    ])
+  );
+
+  const failed = results.filter(([, result]) => result.status === HEALTH_STATUS.FAIL);
+  let status = READINESS_STATUS.READY;
+  if (failed.some(([, result]) => result.critical)) {
+    status = READINESS_STATUS.NOT_READY;
+  } else if (failed.length > 0) {
+    status = READINESS_STATUS.DEGRADED;
+  }
+
+  if (status !== READINESS_STATUS.READY) {
+    debugApplication("Readiness %s: %O", status, Object.fromEntries(failed));
+  }
+
+  return {
+    status,
+    timestamp: new Date().toISOString(),
+    checks: {
+      shutdown: { status: HEALTH_STATUS.PASS, critical: true, latencyMs: 0 },
+      ...Object.fromEntries(results),
+    },
+  };
+};
@@ -0,0 +1,267 @@
+import mssql from "mssql";
+import { executeQuery, QUERY_INTENT } from "./database.js";
+import { captureMessages } from "./streamQuery.js";
+import { debugMSSQL } from "../utils/debug.js";
+import { createValidationError, validateLocation, VALIDATION_LOCATION } from "../utils/validation.js";
+
+/**
+ * Stored procedure registry
+ *
+ * Only procedures registered here can be called through POST /api/procedures/:name.
+ * Each registration is a contract: the SQL procedure it runs, its input
+ * parameters with their mssql types (which also drive request validation), its
+ * output parameters, and whether it only reads. Clients address procedures by
+ * the registered name; the SQL name never comes from the request.
+ *
+ * Example Registration:
+ *   registerProcedure("recordQuantityStats", {
+ *     procedure: "dbo.usp_RecordQuantityStats",
+ *     description: "Records with REC_QY at least @MinQty",
+ *     intent: QUERY_INTENT.READ,
+ *     inputs: { MinQty: { type: mssql.Int, required: true }, Since: { type: mssql.DateTime, nullable: true } },
+ *     outputs: { MatchCount: { type: mssql.Int } },
+ *   });
+ */
+
+// CLOSURE: registered contracts by public name, for the life of the process
+const registry = new Map();
+
+// Schema-qualified or bare procedure name, optionally bracketed: dbo.usp_Name, [dbo].[usp_Name]
+const PROCEDURE_NAME_PATTERN = /^(\[?[A-Za-z_][A-Za-z0-9_]*\]?\.)?\[?[A-Za-z_][A-Za-z0-9_]*\]?$/;
+// Public names and parameter names: letters, digits and underscores
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,127}$/;
+
+const INTEGER_RANGES = {
+  tinyint: [0, 255],
+  smallint: [-32768, 32767],
+  int: [-2147483648, 2147483647],
+};
+const STRING_TYPES = new Set(["char", "varchar", "nchar", "nvarchar", "text", "ntext", "xml"]);
+const NUMBER_TYPES = new Set(["decimal", "numeric", "money", "smallmoney", "float", "real"]);
+const DATE_TYPES = new Set(["date", "datetime", "datetime2", "smalldatetime", "datetimeoffset"]);
+
+/**
+ * SQL declaration and length of an mssql type given as mssql.Int or mssql.NVarChar(50)
+ */
+const describeType = (type) => {
+  const base = typeof type === "function" ? type : type?.type;
+  return { declaration: base?.declaration ?? null, length: type?.length ?? null };
+};
+
+/**
+ * Request validation schema for one input, derived from its mssql type
+ * Bodies are JSON, so dates arrive as ISO 8601 strings and bigint as a number or digit string.
+ *
+ * @param {Object} input - Input declaration ({ type, nullable?, schema? })
+ * @returns {Object} Field schema for validate() (src/utils/validation.js)
+ */
+const toFieldSchema = (input) => {
+  if (input.schema) return input.schema;
+
+  const { declaration, length } = describeType(input.type);
+  let schema;
+  if (INTEGER_RANGES[declaration]) {
+    const [minimum, maximum] = INTEGER_RANGES[declaration];
+    schema = { type: "integer", minimum, maximum };
+  } else if (declaration === "bigint") {
+    schema = { type: ["integer", "string"], pattern: "^-?[0-9]{1,19}$" };
+  } else if (declaration === "bit") {
+    schema = { type: "boolean" };
+  } else if (NUMBER_TYPES.has(declaration)) {
+    schema = { type: "number" };
+  } else if (DATE_TYPES.has(declaration)) {
+    schema = { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}(T\\d{2}:\\d{2}(:\\d{2}(\\.\\d{1,7})?)?(Z|[+-]\\d{2}:\\d{2})?)?$" };
+  } else if (declaration === "uniqueidentifier") {
+    schema = { type: "string", pattern: "^[0-9A-Fa-f]{8}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{12}$" };
+  } else if (STRING_TYPES.has(declaration)) {
+    schema = { type: "string" };
+    // Parameter lengths are in characters (mssql.NVarChar(50) declares nvarchar(50)),
+    // unlike recordset column lengths, which are in bytes
+    if (length && length !== mssql.MAX) schema.maxLength = length;
+  } else {
+    throw new Error(`No input schema for SQL type "${declaration}"; declare one with "schema"`);
+  }
+  return input.nullable ? { ...schema, type: [...[schema.type].flat(), "null"] } : schema;
+};
+
+/**
+ * Convert a validated JSON value to what the driver expects for the input's type
+ * Dates without an offset are UTC, matching how mssql reads them (useUTC).
+ * @returns {{ value?: *, message?: string }} The value, or why it cannot be converted
+ */
+const toParameterValue = (input, value) => {
+  if (value === null) return { value };
+  const { declaration } = describeType(input.type);
+  if (DATE_TYPES.has(declaration)) {
+    // The schema pattern checks the shape only; "2026-13-45" matches it but is no date
+    const date = new Date(/T.*(Z|[+-]\d{2}:\d{2})$/.test(value) || !value.includes("T") ? value : `${value}Z`);
+    if (Number.isNaN(date.getTime())) {
+      return { message: "must be a valid date (YYYY-MM-DD or ISO 8601)" };
+    }
+    return { value: date };
+  }
+  return { value };
+};
+
+/**
+ * Register a procedure contract
+ * Throws on an invalid contract, so mistakes surface at startup rather than per request.
+ *
+ * @param {string} name - Public name used in the URL
+ * @param {Object} contract
+ * @param {string} contract.procedure - SQL procedure name, e.g. "dbo.usp_RecordQuantityStats"
+ * @param {string} contract.description - What the procedure does
+ * @param {string} contract.intent - QUERY_INTENT.READ lets a replica serve it (default: WRITE)
+ * @param {boolean} contract.retry - Retry transient failures; only for idempotent procedures (default: false)
+ * @param {Object} contract.inputs - name -> { type, required?, nullable?, schema? }
+ * @param {Object} contract.outputs - name -> { type }
+ */
+export const registerProcedure = (name, contract) => {
+  if (!NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid procedure name: ${name}`);
+  }
+  if (!PROCEDURE_NAME_PATTERN.test(contract.procedure ?? "")) {
+    throw new Error(`Invalid SQL procedure name for ${name}: ${contract.procedure}`);
+  }
+  const inputs = contract.inputs ?? {};
+  const outputs = contract.outputs ?? {};
+  for (const [parameter, declaration] of [...Object.entries(inputs), ...Object.entries(outputs)]) {
+    if (!NAME_PATTERN.test(parameter) || !describeType(declaration.type).declaration) {
+      throw new Error(`Invalid parameter ${parameter} for ${name}: needs a valid name and an mssql type`);
+    }
+  }
+  const duplicate = Object.keys(outputs).find((parameter) => Object.hasOwn(inputs, parameter));
+  if (duplicate) {
+    throw new Error(`Parameter ${duplicate} of ${name} is declared as both input and output`);
+  }
+
+  const properties = Object.fromEntries(
+    Object.entries(inputs).map(([parameter, declaration]) => [parameter, toFieldSchema(declaration)])
+  );
+  registry.set(name, Object.freeze({
+    name,
+    procedure: contract.procedure,
+    description: contract.description ?? "",
+    intent: contract.intent ?? QUERY_INTENT.WRITE,
+    retry: contract.retry ?? false,
+    inputs,
+    outputs,
+    // Request body schema for validateLocation()
+    schema: {
+      properties,
+      required: Object.keys(inputs).filter((parameter) => inputs[parameter].required),
+      additionalProperties: false,
+    },
+  }));
+  debugMSSQL(`Registered procedure "${name}" -> ${contract.procedure}`);
+};
+
+/**
+ * Look up a registered procedure
+ * @param {string} name - Public name
+ * @returns {Object|null} The frozen contract, or null if the name is not registered
+ */
+export const getProcedure = (name) => registry.get(name) ?? null;
+
+/**
+ * Validate a request body against a procedure's inputs and convert the values for binding
+ *
+ * Usage Examples:
+ *   parseProcedureInputs(getProcedure("recordQuantityStats"), { MinQty: 5, Since: "2026-01-01" })
+ *   → { MinQty: 5, Since: Date(2026-01-01T00:00:00.000Z) }
+ *
+ * @param {Object} contract - From getProcedure
+ * @param {*} body - Request body
+ * @returns {Object} Input values ready for executeProcedure; omitted optional inputs stay absent
+ * @throws {ApiError} 400 VALIDATION_ERROR listing every problem
+ */
+export const parseProcedureInputs = (contract, body) => {
+  const errors = [];
+  const values = validateLocation(body ?? {}, contract.schema, VALIDATION_LOCATION.BODY, errors);
+  const inputs = {};
+  for (const [parameter, value] of Object.entries(values)) {
+    const { value: converted, message } = toParameterValue(contract.inputs[parameter], value);
+    if (message) {
+      errors.push({ location: VALIDATION_LOCATION.BODY, field: parameter, message });
+    } else {
+      inputs[parameter] = converted;
+    }
+  }
+  if (errors.length > 0) throw createValidationError(errors);
+  return inputs;
+};
+
+/**
+ * Run a registered procedure
+ *
+ * Only inputs present in `inputs` are bound, so omitted optional parameters
+ * take the procedure's own defaults. Every declared output is bound with
+ * request.output().
+ *
+ * @param {Object} contract - From getProcedure
+ * @param {Object} inputs - Input values from parseProcedureInputs
+ * @param {Object} options
+ * @param {Object} options.req - Express request, for in-flight query tracking
+ * @returns {Promise<Object>} { recordsets, output, returnValue, rowsAffected, messages, poolName }
+ */
+export const executeProcedure = async (contract, inputs, { req = null } = {}) => {
+  const operationName = `procedure:${contract.name}`;
+  let messages = [];
+  let servedBy = null;
+
+  const result = await executeQuery(async (localPool, poolName) => {
+    servedBy = poolName;
+    const request = localPool.request();
+    // Messages of the last attempt only
+    messages = captureMessages(request, operationName);
+    for (const [parameter, declaration] of Object.entries(contract.inputs)) {
+      if (inputs[parameter] !== undefined) {
+        request.input(parameter, declaration.type, inputs[parameter]);
+      }
+    }
+    for (const [parameter, declaration] of Object.entries(contract.outputs)) {
+      request.output(parameter, declaration.type);
+    }
+    return request.execute(contract.procedure);
+  }, operationName, { intent: contract.intent, retry: contract.retry, idempotent: contract.retry, req });
+
+  return {
+    recordsets: result.recordsets,
+    // Only declared outputs, in declaration order
+    output: Object.fromEntries(Object.keys(contract.outputs).map((parameter) => [parameter, result.output[parameter] ?? null])),
+    returnValue: result.returnValue,
+    rowsAffected: result.rowsAffected,
+    messages,
+    poolName: servedBy,
+  };
+};
+
+// ============================================================================
+// Registered procedures (created by scripts/init-db.js)
+// ============================================================================
+
+registerProcedure("recordQuantityStats", {
+  procedure: "dbo.usp_RecordQuantityStats",
+  description: "TestRecords with REC_QY of at least MinQty, optionally created since a date, and their count",
+  intent: QUERY_INTENT.READ,
+  retry: true,
+  inputs: {
+    MinQty: { type: mssql.Int, required: true },
+    Since: { type: mssql.DateTime, nullable: true },
+  },
+  outputs: {
+    MatchCount: { type: mssql.Int },
+  },
+});
+
+registerProcedure("adjustRecordQuantity", {
+  procedure: "dbo.usp_AdjustRecordQuantity",
+  description: "Add Delta to the REC_QY of one record; returns 1 if the record does not exist",
+  inputs: {
+    RecordID: { type: mssql.Int, required: true, schema: { type: "integer", minimum: 1, maximum: 2147483647 } },
+    Delta: { type: mssql.Int, required: true },
+  },
+  outputs: {
+    NewQty: { type: mssql.Int },
+  },
+});
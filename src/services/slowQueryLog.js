@@ -0,0 +1,226 @@
+import mssql from "mssql";
+import { debugMSSQL } from "../utils/debug.js";
+import { slowQueryLogger } from "../utils/logger.js";
+
+/**
+ * How bound parameter values appear in slow query entries (SLOW_QUERY_PARAM_POLICY)
+ * - redact: every value is replaced with "[REDACTED]"; names and types are kept (default)
+ * - sensitive: values are logged except for names matching SLOW_QUERY_SENSITIVE_PARAMS
+ * - none: every value is logged; for local debugging only
+ */
+export const PARAM_POLICY = Object.freeze({
+  REDACT: "redact",
+  SENSITIVE: "sensitive",
+  NONE: "none",
+});
+
+const REDACTED = "[REDACTED]";
+const DEFAULT_THRESHOLD_MS = 1000;
+const DEFAULT_SENSITIVE_PARAMS = "password,secret,token,ssn,email";
+const MAX_SQL_LENGTH = 4000;
+const MAX_VALUE_LENGTH = 256;
+
+// Time each requester waited for a pooled connection: request -> ms
+const acquireWaits = new WeakMap();
+
+const elapsedMs = (start) => Number(process.hrtime.bigint() - start) / 1e6;
+
+const round = (ms) => Math.round(ms * 10) / 10;
+
+/**
+ * Read slow query settings
+ * - SLOW_QUERY_THRESHOLD_MS: log queries at or above this duration (default 1000, 0 logs every query, -1 disables)
+ * - SLOW_QUERY_PARAM_POLICY: see PARAM_POLICY (default redact)
+ * - SLOW_QUERY_SENSITIVE_PARAMS: comma-separated name fragments hidden by the "sensitive" policy
+ * @returns {{thresholdMs: number, paramPolicy: string, sensitiveParams: string[]}}
+ */
+export const getSlowQuerySettings = () => {
+  const thresholdMs = parseInt(process.env.SLOW_QUERY_THRESHOLD_MS ?? String(DEFAULT_THRESHOLD_MS));
+  const paramPolicy = (process.env.SLOW_QUERY_PARAM_POLICY || PARAM_POLICY.REDACT).toLowerCase();
+  return {
+    thresholdMs: Number.isNaN(thresholdMs) ? DEFAULT_THRESHOLD_MS : thresholdMs,
+    // Unknown policies fall back to the safest one
+    paramPolicy: Object.values(PARAM_POLICY).includes(paramPolicy) ? paramPolicy : PARAM_POLICY.REDACT,
+    sensitiveParams: (process.env.SLOW_QUERY_SENSITIVE_PARAMS ?? DEFAULT_SENSITIVE_PARAMS)
+      .split(",")
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean),
+  };
+};
+
+/**
+ * Describe a parameter's SQL type, e.g. "nvarchar(32)"
+ * @param {Object} param - Entry from request.parameters
+ * @returns {string|null}
+ */
+const describeType = (param) => {
+  const declaration = param.type?.declaration;
+  if (!declaration) return null;
+  if (param.length === undefined) return declaration;
+  return `${declaration}(${param.length === mssql.MAX ? "max" : param.length})`;
+};
+
+/**
+ * Make a parameter value safe and compact for a log entry
+ * Buffers and table-valued parameters are summarised, long strings truncated
+ */
+const describeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (Buffer.isBuffer(value)) return `<Buffer ${value.length} bytes>`;
+  if (value instanceof mssql.Table) return `<Table ${value.rows.length} rows>`;
+  if (typeof value === "bigint") return value.toString();
+  if (typeof value === "string" && value.length > MAX_VALUE_LENGTH) {
+    return `${value.slice(0, MAX_VALUE_LENGTH)}... (${value.length} chars)`;
+  }
+  return value;
+};
+
+/**
+ * Describe bound parameters with values redacted according to the policy
+ * @param {Object} parameters - request.parameters from an mssql Request
+ * @param {Object} settings - From getSlowQuerySettings()
+ * @returns {Object} name -> { type, value }
+ */
+export const redactParameters = (parameters = {}, { paramPolicy, sensitiveParams }) =>
+  Object.fromEntries(
+    Object.values(parameters).map((param) => {
+      const name = param.name.toLowerCase();
+      const hidden =
+        paramPolicy === PARAM_POLICY.REDACT ||
+        (paramPolicy === PARAM_POLICY.SENSITIVE && sensitiveParams.some((fragment) => name.includes(fragment)));
+      return [param.name, { type: describeType(param), value: hidden ? REDACTED : describeValue(param.value) }];
+    })
+  );
+
+/**
+ * SQL text for the log entry; tagged template calls pass their string parts
+ */
+const describeCommand = (command) => {
+  const sql = Array.isArray(command) ? command.join("?") : String(command);
+  return sql.length > MAX_SQL_LENGTH ? `${sql.slice(0, MAX_SQL_LENGTH)}... (${sql.length} chars)` : sql;
+};
+
+const countRows = (result) =>
+  (result?.recordsets ?? []).reduce((total, recordset) => total + recordset.length, 0);
+
+/**
+ * Record how long each request waits for a pooled connection
+ * Patches pool.acquire once; mssql requests pass themselves as the requester,
+ * which is the key the wait is stored under.
+ * @param {mssql.ConnectionPool} pool - Pool to instrument
+ * @returns {mssql.ConnectionPool} The same pool
+ */
+export const instrumentPoolAcquire = (pool) => {
+  const acquire = pool.acquire.bind(pool);
+  pool.acquire = (requester, callback) => {
+    const start = process.hrtime.bigint();
+    const record = () => {
+      if (requester && typeof requester === "object") {
+        acquireWaits.set(requester, elapsedMs(start));
+      }
+    };
+    if (typeof callback !== "function") {
+      return acquire(requester).finally(record);
+    }
+    return acquire(requester, (err, ...args) => {
+      record();
+      callback(err, ...args);
+    });
+  };
+  return pool;
+};
+
+/**
+ * Write one timing: always to debug output, and to logs/slow-query.log past the threshold
+ */
+const recordTiming = ({ request, operationName, poolName, method, command, start, rowCount, error }) => {
+  const durationMs = elapsedMs(start);
+  const acquireMs = acquireWaits.get(request) ?? 0;
+  const executionMs = Math.max(0, durationMs - acquireMs);
+  debugMSSQL(
+    `${operationName} ${method} on pool "${poolName}": acquire ${round(acquireMs)}ms, ` +
+    `execution ${round(executionMs)}ms, ${rowCount} rows`
+  );
+
+  const settings = getSlowQuerySettings();
+  if (settings.thresholdMs < 0 || durationMs < settings.thresholdMs) return;
+
+  slowQueryLogger.warn("Slow query", {
+    operation: operationName,
+    pool: poolName,
+    method,
+    streaming: request.stream === true,
+    sql: describeCommand(command),
+    params: redactParameters(request.parameters, settings),
+    rowCount,
+    durationMs: round(durationMs),
+    acquireMs: round(acquireMs),
+    executionMs: round(executionMs),
+    thresholdMs: settings.thresholdMs,
+    outcome: error ? "error" : "success",
+    ...(error && { error: error.message }),
+  });
+};
+
+/**
+ * Time every query() and execute() made through an mssql request
+ *
+ * Works in promise, callback and stream modes. Stream mode finishes on 'done'
+ * and counts 'row' events; the other modes count rows in the returned recordsets.
+ *
+ * CLOSURE: each wrapped call captures its own start time, row count and error,
+ * so a request reused for several queries is timed per call.
+ *
+ * @param {mssql.Request} request - Request to instrument
+ * @param {Object} context
+ * @param {string} context.operationName - Name of the operation for logging
+ * @param {string} context.poolName - Pool serving the request
+ * @returns {mssql.Request} The same request
+ */
+export const instrumentRequest = (request, { operationName, poolName }) => {
+  for (const method of ["query", "execute"]) {
+    const original = request[method];
+    request[method] = (...args) => {
+      acquireWaits.delete(request);
+      const start = process.hrtime.bigint();
+      const [command] = args;
+      let streamedRows = 0;
+      let streamError = null;
+      let recorded = false;
+
+      const finish = (error, result) => {
+        if (recorded) return;
+        recorded = true;
+        const rowCount = request.stream === true ? streamedRows : countRows(result);
+        recordTiming({ request, operationName, poolName, method, command, start, rowCount, error: error ?? streamError });
+      };
+
+      const callback = args.at(-1);
+      if (typeof callback === "function") {
+        args[args.length - 1] = (err, result, ...rest) => {
+          finish(err, result);
+          callback(err, result, ...rest);
+        };
+      }
+
+      const returned = original.apply(request, args);
+
+      // Stream mode is resolved by query()/execute() from the pool config when unset
+      if (request.stream === true) {
+        const onRow = () => streamedRows++;
+        const onError = (err) => { streamError = err; };
+        request.on("row", onRow);
+        request.on("error", onError);
+        request.once("done", () => {
+          request.off("row", onRow);
+          request.off("error", onError);
+          finish(null, null);
+        });
+      } else if (typeof returned?.then === "function") {
+        returned.then((result) => finish(null, result), (err) => finish(err, null));
+      }
+      return returned;
+    };
+  }
+  return request;
+};
@@ -0,0 +1,1202 @@
+import { pipeline } from "node:stream";
+import {
+  DEFAULT_POOL_NAME,
+  getPoolForIntent,
+  registerInFlightQuery,
+  QUERY_INTENT,
+  startQueryAttempt,
+} from "./database.js";
+import { instrumentRequest } from "./slowQueryLog.js";
+import { debugMSSQL } from "../utils/debug.js";
+import {
+  safeJSONStringify,
+  createMetadata,
+  createRowSerializer,
+  createStreamingHeaders,
+} from "../utils/json.js";
+import { CSV_LINE_ENDING, formatCSVRecord } from "../utils/csv.js";
+import { describeColumns, wantsColumnSchema } from "../utils/columnSchema.js";
+import { createCompressor, flushCompressor, negotiateEncoding } from "../utils/compression.js";
+import logger from "../utils/logger.js";
+import {
+  streamBackpressurePauses,
+  streamBackpressureWait,
+  streamBufferOverflows,
+  streamRowsSent,
+} from "../utils/metrics.js";
+
+/**
+ * Output formats understood by streamQuery
+ * - json: {"recordsets": [[row, ...], [row, ...]], "messages": [...], "success": true, ...}
+ * - ndjson: one JSON row per line, then one line with messages and createMetadata
+ * - csv: RFC 4180 with a header row from the recordset columns, sent as an attachment
+ * - for-json-path: the query uses FOR JSON PATH; its fragments are written as the data array
+ * - sse: Server-Sent Events with row batches, progress events, heartbeats and a final done/error event
+ */
+export const STREAM_FORMAT = Object.freeze({
+  JSON: "json",
+  NDJSON: "ndjson",
+  CSV: "csv",
+  FOR_JSON_PATH: "for-json-path",
+  SSE: "sse",
+});
+
+// Formats a client can ask for, by media type; the first is the default
+const NEGOTIABLE_FORMATS = Object.freeze({
+  [STREAM_FORMAT.JSON]: "application/json",
+  [STREAM_FORMAT.NDJSON]: "application/x-ndjson",
+  [STREAM_FORMAT.CSV]: "text/csv",
+  [STREAM_FORMAT.SSE]: "text/event-stream",
+});
+
+// First field of the record that marks a CSV stream as failed
+const CSV_ERROR_MARKER = "#ERROR";
+
+const DEFAULT_STREAM_TIMEOUT = 60000;
+
+/**
+ * When a compressed stream pushes rows out of the compressor
+ * Without flushing, gzip and brotli hold output back until they have a full
+ * block, and a slow query would reach the client in bursts. The compressor is
+ * flushed after COMPRESSION_FLUSH_ROWS rows, when a new recordset starts, and
+ * COMPRESSION_FLUSH_INTERVAL ms after unflushed rows were written.
+ */
+const COMPRESSION_FLUSH_ROWS = 1000;
+const COMPRESSION_FLUSH_INTERVAL = 200;
+
+/**
+ * Server-Sent Events defaults
+ * - batchSize: rows per event; 1 sends a `row` event per row, more sends `rows` arrays
+ * - progressInterval: ms between `progress` events
+ * - heartbeatInterval: ms between comment lines that keep idle proxies from closing the stream
+ */
+const DEFAULT_SSE_OPTIONS = Object.freeze({
+  batchSize: 100,
+  progressInterval: 1000,
+  heartbeatInterval: 15000,
+});
+
+/**
+ * Hard cap on bytes buffered in a response while its query is paused
+ * Rows already in flight when the query pauses still arrive; past this cap the
+ * stream is aborted instead of growing without bound.
+ * STREAM_MAX_BUFFERED_BYTES overrides it (default 16 MiB)
+ */
+const getMaxBufferedBytes = () => {
+  const value = parseInt(process.env.STREAM_MAX_BUFFERED_BYTES || "16777216");
+  return Number.isNaN(value) || value <= 0 ? 16777216 : value;
+};
+
+export const BACKPRESSURE = Object.freeze({
+  OK: "ok",
+  PAUSED: "paused",
+  OVERFLOW: "overflow",
+});
+
+// ============================================================================
+// Streaming Infrastructure
+// ============================================================================
+
+/**
+ * Factory function that creates a configured streaming request with built-in lifecycle management
+ *
+ * This factory demonstrates advanced closure patterns for managing streaming request state:
+ * - Encapsulates `requestCompleted` and `queryTimeout` in closure scope
+ * - Returns an interface with controlled access to internal state
+ * - Automatically handles request cancellation on client disconnect
+ * - Provides timeout management through callback pattern
+ * - Registers the request in the in-flight registry so shutdown and admins can cancel it
+ * - Times the query for the slow query log
+ * - Pauses the query while the response is above its high-water mark (backpressure)
+ *
+ * Closure Pattern:
+ * The closure captures `request`, `config`, `requestCompleted`, `queryTimeout` and `paused` variables,
+ * allowing all returned methods to share and maintain state across multiple operations.
+ * This avoids global state while providing a clean, encapsulated API.
+ *
+ * Example Usage:
+ *   const { request, markCompleted, setupTimeout } = createStreamingRequest(pool, req, res, config);
+ *   request.on('done', () => markCompleted());
+ *   setupTimeout(() => request.cancel());
+ *
+ * @param {Object} pool - mssql connection pool instance
+ * @param {Object} req - Express request object, recorded as the query's route
+ * @param {Object} res - Express response object for client disconnect detection
+ * @param {Object} config - Configuration object
+ * @param {number} config.timeout - Query timeout in milliseconds (e.g., 60000 for 60s)
+ * @param {string} config.operationName - Name for logging and error messages
+ * @param {string} config.poolName - Pool serving the request, for the in-flight listing
+ * @param {Function} config.onCancel - (reason) => void; ends the response when cancelled by shutdown or an admin
+ * @param {number} config.maxBufferedBytes - Buffered response bytes that abort the stream
+ * @param {Object} config.output - Stream the body is written to, watched for backpressure (default: res)
+ *
+ * @returns {Object} Streaming request interface with:
+ *   @returns {Object} request - Configured mssql request object with streaming enabled
+ *   @returns {Function} markCompleted - Closure-bound function to mark request as complete and clear timeout
+ *   @returns {Function} isCompleted - Closure-bound function to check if request is done
+ *   @returns {Function} setupTimeout - Closure-bound function to setup query timeout with callback
+ *   @returns {Function} cancel - Cancels the query, resuming it first if paused
+ *   @returns {Function} applyBackpressure - Call after each write; returns a BACKPRESSURE value
+ */
+const createStreamingRequest = (pool, req, res, config) => {
+  // Closure-captured variables: maintain state across all returned methods
+  const request = instrumentRequest(pool.request(), {
+    operationName: config.operationName,
+    poolName: config.poolName,
+  });
+  request.stream = true;
+
+  let requestCompleted = false;      // Tracks if query has finished or failed
+  let queryTimeout = null;           // Reference to timeout handle for cleanup
+  let paused = false;                // Query paused until the response drains
+  let onDrain = null;                // Pending 'drain' listener while paused
+  let endPauseTimer = null;          // Records how long the current pause lasted
+  const output = config.output ?? res; // A compressor in front of res fills up before res does
+
+  /**
+   * Resume a paused query
+   * CLOSURE: Accesses and modifies paused, onDrain and endPauseTimer from parent scope
+   */
+  const resume = () => {
+    if (onDrain) {
+      output.off("drain", onDrain);
+      onDrain = null;
+    }
+    if (paused) {
+      paused = false;
+      endPauseTimer();
+      request.resume();
+    }
+  };
+
+  /**
+   * Cancel the query; a paused request is resumed first so the driver can
+   * process the cancel acknowledgement instead of waiting on the paused stream
+   */
+  const cancel = () => {
+    resume();
+    request.cancel();
+  };
+
+  /**
+   * In-flight registration: shutdown and the admin endpoint cancel through here
+   * The query is cancelled before the response is terminated, so no row can
+   * arrive for a response that has already ended; the client still sees why
+   * the stream ended
+   * CLOSURE: Accesses request and config from parent scope
+   */
+  const inFlight = registerInFlightQuery({
+    operationName: config.operationName,
+    req,
+    streaming: true,
+    poolName: config.poolName,
+    cancel: (reason) => {
+      cancel();
+      config.onCancel?.(reason);
+    },
+  });
+
+  /**
+   * Client disconnect handler - automatically set up by this factory
+   * If client closes connection before query completes, cancel the request
+   * res 'close' also fires after a normal finish, so writableFinished tells them apart
+   * (req 'close' is not used: it fires as soon as the request body has been read)
+   * CLOSURE: Accesses requestCompleted, request, and config from parent scope
+   */
+  const onClose = () => {
+    if (res.writableFinished) return;
+    if (requestCompleted) {
+      debugMSSQL(`Client disconnected after ${config.operationName} completion`);
+    } else {
+      debugMSSQL(`Client disconnected, canceling ${config.operationName}`);
+      try {
+        cancel();
+      } catch (cancelError) {
+        debugMSSQL(`Error canceling ${config.operationName}: %O`, cancelError);
+      }
+    }
+  };
+  res.on("close", onClose);
+
+  /**
+   * Marks request as completed and clears any pending timeout
+   * Called from 'done' and 'error' event handlers
+   * CLOSURE: Accesses and modifies requestCompleted and queryTimeout from parent scope
+   */
+  const markCompleted = () => {
+    requestCompleted = true;
+    inFlight.complete();
+    res.off("close", onClose);
+    resume();
+    if (queryTimeout) {
+      clearTimeout(queryTimeout);
+    }
+  };
+
+  /**
+   * Returns interface to streaming request with state management
+   * All methods maintain closure access to internal state variables
+   */
+  return {
+    request,
+    markCompleted,
+    cancel,
+    isCompleted: () => requestCompleted,
+    /**
+     * Pause the query when the response is above its high-water mark, resume on 'drain'
+     * output.writableNeedDrain is true exactly when the last write returned false
+     * CLOSURE: Accesses paused, onDrain, requestCompleted and config from parent scope
+     * @returns {string} BACKPRESSURE.OVERFLOW when buffered bytes exceed the cap
+     */
+    applyBackpressure: () => {
+      if (output.writableLength > config.maxBufferedBytes) {
+        return BACKPRESSURE.OVERFLOW;
+      }
+      if (paused) return BACKPRESSURE.PAUSED;
+      if (!output.writableNeedDrain || requestCompleted) return BACKPRESSURE.OK;
+
+      paused = true;
+      request.pause();
+      streamBackpressurePauses.inc({ operation: config.operationName });
+      endPauseTimer = streamBackpressureWait.startTimer({ operation: config.operationName });
+      debugMSSQL(`${config.operationName} paused, ${output.writableLength} bytes buffered`);
+      onDrain = () => {
+        onDrain = null;
+        resume();
+      };
+      output.once("drain", onDrain);
+      return BACKPRESSURE.PAUSED;
+    },
+    /**
+     * Sets up query timeout that automatically handles completion state
+     * CLOSURE: Captures requestCompleted, queryTimeout variables in handler
+     * @param {Function} onTimeout - Callback to invoke when timeout expires (e.g., request.cancel)
+     */
+    setupTimeout: (onTimeout) => {
+      queryTimeout = setTimeout(() => {
+        if (requestCompleted) return;  // Ignore timeout if already completed
+        debugMSSQL(`${config.operationName} timeout reached`);
+        onTimeout();
+      }, config.timeout);
+    },
+  };
+};
+
+/**
+ * Factory for the stream a response body is written to
+ *
+ * Format writers write to the sink instead of the response. Without an encoding
+ * it passes everything straight to `res`. With one, open() sends the headers with
+ * Content-Encoding and pipes a gzip or brotli compressor into `res`; writes then go
+ * to the compressor, and its buffer is what backpressure watches.
+ *
+ * CLOSURE: `compressor`, `unflushedRows` and `flushTimer` are shared by every
+ * method, so the flush policy spans all writes of the response.
+ *
+ * @param {Object} res - Express response object
+ * @param {string|null} encoding - CONTENT_ENCODING value, or null for no compression
+ * @returns {Object} Writable-like sink: open(status, headers), write, end, destroy,
+ *   once/off, flush(), rowWritten() and the headersSent/writableEnded/destroyed/
+ *   writableLength/writableNeedDrain properties
+ */
+const createResponseSink = (res, encoding) => {
+  let compressor = null;       // Created by open() when an encoding was negotiated
+  let unflushedRows = 0;       // Rows written since the last compressor flush
+  let flushTimer = null;       // Pending time-based flush
+
+  const target = () => compressor ?? res;
+
+  const flush = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    unflushedRows = 0;
+    if (compressor && !compressor.writableEnded && !compressor.destroyed) {
+      flushCompressor(compressor, encoding);
+    }
+  };
+
+  return {
+    get headersSent() { return res.headersSent; },
+    get writableEnded() { return target().writableEnded; },
+    get destroyed() { return res.destroyed || target().destroyed; },
+    get writableLength() { return target().writableLength; },
+    get writableNeedDrain() { return target().writableNeedDrain; },
+    open: (status, headers) => {
+      if (!encoding) {
+        res.writeHead(status, headers);
+        return;
+      }
+      res.writeHead(status, { ...headers, "Content-Encoding": encoding });
+      compressor = createCompressor(encoding);
+      // pipeline destroys the compressor when the client disconnects, and res if compression fails
+      pipeline(compressor, res, (err) => {
+        clearTimeout(flushTimer);
+        if (err && err.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+          logger.error(`Error compressing streamed response: ${err.message}`);
+        }
+      });
+    },
+    write: (chunk) => target().write(chunk),
+    end: (chunk) => {
+      clearTimeout(flushTimer);
+      target().end(chunk);
+    },
+    destroy: () => {
+      clearTimeout(flushTimer);
+      target().destroy();
+    },
+    once: (event, listener) => target().once(event, listener),
+    off: (event, listener) => target().off(event, listener),
+    flush,
+    /**
+     * Count a written row and flush the compressor at batch boundaries
+     */
+    rowWritten: () => {
+      if (!compressor) return;
+      unflushedRows++;
+      if (unflushedRows >= COMPRESSION_FLUSH_ROWS) {
+        flush();
+      } else {
+        flushTimer ??= setTimeout(flush, COMPRESSION_FLUSH_INTERVAL);
+      }
+    },
+  };
+};
+
+/**
+ * Creates a safe JSON structure closer for streaming responses
+ *
+ * This higher-order function returns a closure that can safely end JSON responses
+ * based on their current state. Handles partial state scenarios where streaming
+ * may have been interrupted at different stages.
+ *
+ * Closure Pattern:
+ * The returned function closes over `res` and `state` parameters, allowing
+ * the same function instance to be called multiple times while maintaining
+ * awareness of the response state.
+ *
+ * State Management:
+ * - recordsetStarted: Data array has been opened [
+ * - jsonStructureStarted: JSON object opened {
+ * - dataStarted: Actual data has been written
+ * - closeSequence: What closes an open data array (default "]")
+ *
+ * @param {Object} res - Express response object for writing data and ending response
+ * @param {Object} state - Current streaming state object (CLOSURE variable)
+ *   @param {boolean} state.recordsetStarted - Whether data array was opened
+ *   @param {boolean} state.jsonStructureStarted - Whether JSON object was opened
+ *   @param {boolean} state.dataStarted - Whether any actual data was written
+ *   @param {string} state.closeSequence - Closing brackets for an open data array
+ * @param {Object|null} meta - Response metadata appended to every ending (e.g. serving pool)
+ * @param {Function} getFields - () => fields written before the metadata (e.g. messages)
+ *
+ * @returns {Function} Closure function that ends JSON response safely
+ *   @param {boolean} success - Success status for metadata
+ *   @param {string|null} errorMessage - Error message if any
+ *   @param {*} result - Query result metadata from done event
+ *
+ * CLOSURE BEHAVIOR: The returned function captures `res` and `state` in its lexical
+ * scope, allowing it to reference and modify state properties each time it's called.
+ * This is essential for handling different interrupt scenarios:
+ *   - Full stream: recordset was opened, data written
+ *   - Partial stream: recordset opened, but no data written yet
+ *   - Error before headers: no response started
+ */
+const createSafeEndJSON = (res, state, meta = null, getFields = () => ({})) => (
+  success = false,
+  errorMessage = null,
+  result = null
+) => {
+  // Already terminated (e.g. cancelled by shutdown before the 'error' event arrived, or client gone)
+  if (res.writableEnded || res.destroyed) return;
+  try {
+    // Close data structure based on current state
+    if (state.recordsetStarted) {
+      res.write(state.closeSequence ?? "]");
+    } else if (state.jsonStructureStarted && !state.dataStarted) {
+      res.write("[]");
+    }
+
+    const metadata = { ...getFields(), ...createMetadata(success, errorMessage, result, meta) };
+
+    if (state.jsonStructureStarted) {
+      // Append metadata to existing JSON object (remove leading '{')
+      res.write(`,${safeJSONStringify(metadata).slice(1)}`);
+    } else {
+      res.write(safeJSONStringify(metadata));
+    }
+
+    res.end();
+  } catch (endError) {
+    logger.error(`Error ending JSON structure: ${endError.message}`);
+    if (!res.destroyed) {
+      res.destroy();
+    }
+  }
+};
+
+/**
+ * Attempts to safely end the response as a last resort
+ *
+ * Purpose:
+ * Used in error scenarios where JSON structure closure failed or was incomplete
+ * Ensures response is properly terminated even in degraded conditions
+ *
+ * Safety Checks:
+ * - Verifies response is not already destroyed
+ * - Checks if response stream is not already ended (writableEnded)
+ * - Wraps in try/catch to handle edge cases
+ *
+ * @param {Object} res - Express response object or response sink
+ */
+const safeResponseEnd = (res) => {
+  if (!res.destroyed && !res.writableEnded) {
+    try {
+      res.end();
+    } catch (finalError) {
+      logger.error(`Final error ending response: ${finalError.message}`);
+    }
+  }
+};
+
+/**
+ * Creates the cancel handler for a streamed response
+ *
+ * Used when shutdown or an admin cancels the query: terminates the response with
+ * {"success":false,"error":<reason>} whether or not streaming had started.
+ *
+ * @param {Object} sink - Response sink from createResponseSink
+ * @param {Object} writer - Format writer for this response
+ * @param {Function} terminate - Ends the writer and drops any later output (see streamQuery)
+ * @returns {Function} (reason) => void
+ */
+const createStreamCancelHandler = (sink, writer, terminate) => (reason) => {
+  if (!sink.headersSent) {
+    sink.open(503, writer.headers);
+  }
+  terminate(false, reason, null);
+};
+
+/**
+ * Pick the output format for a request
+ *
+ * `?format=` wins over the Accept header. An Accept header that matches no
+ * supported media type falls back to the default (JSON) rather than failing,
+ * so clients sending generic Accept headers keep working.
+ *
+ * @param {Object} req - Express request object
+ * @returns {string|null} One of STREAM_FORMAT, or null for an unsupported ?format value
+ */
+export const negotiateStreamFormat = (req) => {
+  const formats = Object.keys(NEGOTIABLE_FORMATS);
+  const requested = req.query?.format;
+  if (requested !== undefined) {
+    const format = String(requested).toLowerCase();
+    return formats.includes(format) ? format : null;
+  }
+
+  const mediaType = req.accepts(Object.values(NEGOTIABLE_FORMATS));
+  return formats.find((format) => NEGOTIABLE_FORMATS[format] === mediaType) ?? formats[0];
+};
+
+/**
+ * Reject an unsupported format with 406 and the formats that are available
+ * @param {Object} res - Express response object
+ * @param {string} requested - The ?format value or negotiated media type
+ * @param {string[]} supported - Formats the endpoint offers (default: every negotiable format)
+ */
+const sendNotAcceptable = (res, requested, supported = Object.keys(NEGOTIABLE_FORMATS)) => {
+  res.status(406).json({
+    success: false,
+    error: {
+      code: "NOT_ACCEPTABLE",
+      message: `Unsupported format "${requested}". Supported formats: ${supported.join(", ")}`,
+      status: 406,
+    },
+  });
+};
+
+// ============================================================================
+// Format Writers
+// ============================================================================
+
+/**
+ * Format writers turn recordset/row events into response bytes
+ *
+ * Each factory is called with (res, { meta, filename, messages, columnSets, sse }), where `res` is the
+ * response sink (createResponseSink: the response, or a compressor in front of it), and returns
+ * { headers, begin(columns), recordset(columns), row(row), end(success, errorMessage, result) }:
+ * - begin: called once, right after the headers are written, with the first recordset's columns
+ *   (or with null when the writer sets `openImmediately`, in which case every recordset goes to recordset())
+ * - recordset: called for every later recordset (multi-statement batches, procedures)
+ * - row: writes one row, returns true if it counted as a sent row
+ * - end: terminates the response with metadata; safe to call more than once
+ *
+ * CLOSURE: each writer keeps its own `state` so end() knows how much of the
+ * structure is open at any point of the stream. `messages` is filled by
+ * captureMessages while the query runs and written by end(). `columnSets` is null unless
+ * column metadata was requested; it then holds describeColumns() output per recordset,
+ * filled before begin()/recordset() is called. CSV and FOR JSON PATH do not include it.
+ */
+const FORMAT_WRITERS = {
+  /**
+   * One JSON object per row, each recordset in its own array:
+   * {"recordsets": [[...], [...]], "columns": [[...], [...]], "messages": [...], "success": ..., "result": ..., "meta": ...}
+   * Same shape as batchRecords; "columns" only when requested. `isFirstRow` prevents a leading comma before the
+   * first row of each recordset.
+   */
+  [STREAM_FORMAT.JSON]: (res, { meta, messages, columnSets }) => {
+    const state = {
+      isFirstRow: true,
+      jsonStructureStarted: false,
+      recordsetStarted: false,
+      dataStarted: false,
+      closeSequence: "]]",
+      serializeRow: createRowSerializer(null),
+    };
+
+    return {
+      headers: createStreamingHeaders(),
+      begin: (columns) => {
+        res.write('{"recordsets":[[');
+        state.jsonStructureStarted = true;
+        state.recordsetStarted = true;
+        state.serializeRow = createRowSerializer(columns);
+      },
+      recordset: (columns) => {
+        res.write("],[");
+        state.isFirstRow = true;
+        state.serializeRow = createRowSerializer(columns);
+      },
+      // Recovery: if an individual row fails, an error object is written in its place
+      row: (row) => {
+        try {
+          if (!state.isFirstRow) {
+            res.write(",");
+          }
+          res.write(state.serializeRow(row));
+          state.isFirstRow = false;
+          state.dataStarted = true;
+          return true;
+        } catch (rowError) {
+          logger.error(`Error processing row: ${rowError.message}`);
+          if (!state.isFirstRow) {
+            res.write(",");
+          }
+          res.write(safeJSONStringify({ error: "Row processing failed" }));
+          state.isFirstRow = false;
+          return false;
+        }
+      },
+      // A query with no result set still reports "recordsets": []
+      end: createSafeEndJSON(res, state, meta, () => ({
+        ...(!state.jsonStructureStarted && { recordsets: [] }),
+        ...(columnSets && { columns: columnSets }),
+        messages,
+      })),
+    };
+  },
+
+  /**
+   * Newline-delimited JSON: each row on its own line, so clients can parse line by line
+   * Rows of every recordset follow each other. The last line holds the columns (when requested),
+   * messages and the createMetadata object ({"messages":[...],"success":...,"result":{"rowsAffected":[...]}})
+   */
+  [STREAM_FORMAT.NDJSON]: (res, { meta, messages, columnSets }) => {
+    const state = { serializeRow: createRowSerializer(null) };
+    const useColumns = (columns) => {
+      state.serializeRow = createRowSerializer(columns);
+    };
+
+    return {
+      headers: createStreamingHeaders(NEGOTIABLE_FORMATS[STREAM_FORMAT.NDJSON]),
+      begin: useColumns,
+      recordset: useColumns,
+      row: (row) => {
+        res.write(`${state.serializeRow(row)}\n`);
+        return true;
+      },
+      end: (success = false, errorMessage = null, result = null) => {
+        if (res.writableEnded || res.destroyed) return;
+        try {
+          const metadata = {
+            ...(columnSets && { columns: columnSets }),
+            messages,
+            ...createMetadata(success, errorMessage, result, meta),
+          };
+          res.end(`${safeJSONStringify(metadata)}\n`);
+        } catch (endError) {
+          logger.error(`Error ending NDJSON stream: ${endError.message}`);
+          res.destroy();
+        }
+      },
+    };
+  },
+
+  /**
+   * RFC 4180 CSV with a header row built from the recordset column metadata
+   *
+   * Error marker strategy: CSV has no place for metadata, so a stream that fails
+   * after the header row ends with one extra record, `#ERROR,<message>`. A clean
+   * export never contains that record. Rows are written in the header's column order.
+   * Each later recordset starts after an empty line with its own header row.
+   */
+  [STREAM_FORMAT.CSV]: (res, { filename }) => {
+    const state = { columnNames: null };
+    const writeHeader = (columns) => {
+      state.columnNames = Object.values(columns ?? {})
+        .sort((a, b) => a.index - b.index)
+        .map((column) => column.name);
+      res.write(formatCSVRecord(state.columnNames));
+    };
+
+    return {
+      headers: {
+        ...createStreamingHeaders(`${NEGOTIABLE_FORMATS[STREAM_FORMAT.CSV]}; charset=utf-8; header=present`),
+        "Content-Disposition": `attachment; filename="${filename}"`,
+      },
+      begin: writeHeader,
+      recordset: (columns) => {
+        res.write(CSV_LINE_ENDING);
+        writeHeader(columns);
+      },
+      row: (row) => {
+        // Without column metadata fall back to the first row's keys
+        state.columnNames ??= Object.keys(row);
+        res.write(formatCSVRecord(state.columnNames.map((name) => row[name])));
+        return true;
+      },
+      end: (success = false, errorMessage = null) => {
+        if (res.writableEnded || res.destroyed) return;
+        try {
+          res.end(success ? undefined : formatCSVRecord([CSV_ERROR_MARKER, errorMessage || "Stream failed"]));
+        } catch (endError) {
+          logger.error(`Error ending CSV stream: ${endError.message}`);
+          res.destroy();
+        }
+      },
+    };
+  },
+
+  /**
+   * FOR JSON PATH returns a single unnamed column holding a JSON fragment;
+   * SQL Server splits long output over several rows, so fragments are written as-is
+   * and together form the data array. No isFirstRow tracking is needed.
+   * Only one FOR JSON result set is supported; messages are appended like the JSON format.
+   */
+  [STREAM_FORMAT.FOR_JSON_PATH]: (res, { meta, messages }) => {
+    const state = {
+      jsonStructureStarted: false,
+      dataStarted: false,
+      recordsetStarted: false,
+    };
+
+    return {
+      headers: createStreamingHeaders(),
+      begin: () => {
+        res.write('{"data": ');
+        state.jsonStructureStarted = true;
+      },
+      recordset: () => {},
+      row: (row) => {
+        try {
+          const jsonFragment = Object.values(row)[0];
+          if (!jsonFragment) return false;
+          res.write(jsonFragment);
+          state.dataStarted = true;
+          return true;
+        } catch (rowError) {
+          logger.error(`Error processing FOR JSON PATH row: ${rowError.message}`);
+          return false;
+        }
+      },
+      end: createSafeEndJSON(res, state, meta, () => ({ messages })),
+    };
+  },
+
+  /**
+   * Server-Sent Events (text/event-stream) for live dashboards and EventSource clients
+   *
+   * Events:
+   * - recordset: {"index": 0, "columns": [{"name": "value", "type": "int"}, ...]} when a result set starts;
+   *   with column metadata requested the columns are full describeColumns() descriptors
+   * - row / rows: one row, or an array of up to batchSize rows
+   * - progress: {"rows": 1200, "recordsets": 1, "elapsedMs": 1503} every progressInterval ms
+   * - done / error: the final progress counts, {"messages": [...]} and createMetadata, as the last event
+   * Heartbeats are SSE comment lines, ignored by EventSource but enough to keep proxies from
+   * timing out an idle connection.
+   *
+   * The stream opens before the query runs (openImmediately), so heartbeats also cover a slow
+   * first result set, and a query that fails early still ends with an `error` event.
+   * EventSource reconnects when the server closes the stream; clients should call close()
+   * on `done` and `error` to avoid running the query again.
+   *
+   * CLOSURE: `state` holds the pending batch, counters and timers; stop() clears the timers
+   * on end() and when the client disconnects.
+   */
+  [STREAM_FORMAT.SSE]: (res, { meta, messages, columnSets, sse }) => {
+    const { batchSize, progressInterval, heartbeatInterval } = { ...DEFAULT_SSE_OPTIONS, ...sse };
+    const state = {
+      pending: [],                 // Serialized rows of the current batch
+      serializeRow: createRowSerializer(null),
+      rows: 0,
+      recordsets: 0,
+      startedAt: Date.now(),
+      progressTimer: null,
+      heartbeatTimer: null,
+    };
+
+    const isOpen = () => !res.writableEnded && !res.destroyed;
+    const writeEventJSON = (event, json) => res.write(`event: ${event}\ndata: ${json}\n\n`);
+    const writeEvent = (event, data) => writeEventJSON(event, safeJSONStringify(data));
+
+    const flush = () => {
+      if (state.pending.length === 0 || !isOpen()) return;
+      if (batchSize === 1) {
+        writeEventJSON("row", state.pending[0]);
+      } else {
+        writeEventJSON("rows", `[${state.pending.join(",")}]`);
+      }
+      state.pending = [];
+    };
+
+    const stop = () => {
+      clearInterval(state.progressTimer);
+      clearInterval(state.heartbeatTimer);
+      state.progressTimer = null;
+      state.heartbeatTimer = null;
+    };
+
+    // Timers may fire between a disconnect and the 'close' event
+    const whileOpen = (fn) => () => {
+      if (!isOpen()) {
+        stop();
+        return;
+      }
+      fn();
+    };
+
+    const progress = () => ({
+      rows: state.rows,
+      recordsets: state.recordsets,
+      elapsedMs: Date.now() - state.startedAt,
+    });
+
+    return {
+      headers: {
+        ...createStreamingHeaders(NEGOTIABLE_FORMATS[STREAM_FORMAT.SSE]),
+        Connection: "keep-alive",
+        // Stops nginx from buffering the stream
+        "X-Accel-Buffering": "no",
+      },
+      openImmediately: true,
+      begin: () => {
+        state.startedAt = Date.now();
+        // Sends the headers right away so the client sees the stream open
+        res.write(": stream opened\n\n");
+        state.progressTimer = setInterval(whileOpen(() => {
+          flush();
+          writeEvent("progress", progress());
+        }), progressInterval);
+        state.heartbeatTimer = setInterval(whileOpen(() => res.write(": heartbeat\n\n")), heartbeatInterval);
+        res.once("close", stop);
+      },
+      recordset: (columns) => {
+        flush();
+        state.serializeRow = createRowSerializer(columns);
+        writeEvent("recordset", {
+          index: state.recordsets,
+          columns: columnSets
+            ? columnSets.at(-1)
+            : Object.values(columns ?? {})
+              .sort((a, b) => a.index - b.index)
+              .map((column) => ({ name: column.name, type: column.type?.declaration ?? null })),
+        });
+        state.recordsets++;
+      },
+      row: (row) => {
+        state.pending.push(state.serializeRow(row));
+        state.rows++;
+        if (state.pending.length >= batchSize) {
+          flush();
+        }
+        return true;
+      },
+      end: (success = false, errorMessage = null, result = null) => {
+        stop();
+        if (!isOpen()) return;
+        try {
+          flush();
+          writeEvent(success ? "done" : "error", {
+            ...progress(),
+            messages,
+            ...createMetadata(success, errorMessage, result, meta),
+          });
+          res.end();
+        } catch (endError) {
+          logger.error(`Error ending event stream: ${endError.message}`);
+          res.destroy();
+        }
+      },
+    };
+  },
+};
+
+/**
+ * Collect PRINT and low-severity RAISERROR messages (severity 10 or less) in arrival order
+ * Higher severities surface as errors instead. Works in streaming and promise modes.
+ *
+ * @param {mssql.Request} request - Request to listen on; attach before query()
+ * @param {string} operationName - Name for debug output
+ * @param {Object[]} messages - Array to fill (default: a new one)
+ * @returns {Object[]} The array, filled as messages arrive: { message, number, severity, lineNumber, procName? }
+ */
+export const captureMessages = (request, operationName, messages = []) => {
+  request.on("info", (info) => {
+    debugMSSQL("%s info event: %O", operationName, info);
+    messages.push({
+      message: info.message,
+      number: info.number,
+      severity: info.class,
+      lineNumber: info.lineNumber,
+      ...(info.procName && { procName: info.procName }),
+    });
+  });
+  return messages;
+};
+
+/**
+ * Attachment filename for downloadable formats, limited to safe characters
+ * @param {string} name - Requested base name (e.g. the operation name)
+ * @param {string} extension - File extension without the dot
+ */
+const toFilename = (name, extension) =>
+  `${String(name).replace(/[^A-Za-z0-9._-]/g, "_") || "export"}.${extension}`;
+
+/**
+ * Bind parameters to a request
+ * Values may be plain (type inferred by mssql) or { type, value } for an explicit SQL type
+ * @param {mssql.Request} request
+ * @param {Object} params - name -> value or { type, value }
+ */
+const bindParams = (request, params) => {
+  for (const [name, param] of Object.entries(params)) {
+    if (param !== null && typeof param === "object" && "type" in param) {
+      request.input(name, param.type, param.value);
+    } else {
+      request.input(name, param);
+    }
+  }
+};
+
+// ============================================================================
+// streamQuery
+// ============================================================================
+
+/**
+ * Stream a parameterized query to the client without loading it into memory
+ *
+ * Event Flow & Closure Usage:
+ * 1. 'recordset' event: Write headers and open the output structure; later recordsets get their own array
+ * 2. 'row' event: Write each row through the format writer
+ * 3. 'error'/'done' event: Close the structure with createMetadata output
+ * 4. res 'close': Cancel the query if the client disconnects (createStreamingRequest)
+ * 5. timeout: Cancel the query and end the response with "Query timeout"
+ * 6. shutdown/admin cancel: End the response with the reason (503 if nothing was sent)
+ * 7. backpressure: Pause the query while res.write() reports a full buffer, resume on 'drain'
+ * 8. compression: gzip or brotli from Accept-Encoding for every format except SSE,
+ *    flushed at row-batch boundaries (createResponseSink)
+ *
+ * Writers with `openImmediately` (SSE) send headers before the query runs, so an early
+ * failure ends the stream with an error event instead of rejecting.
+ *
+ * The returned promise resolves once the response has been ended. It rejects only
+ * when the query fails before anything was written, so the caller can hand the
+ * error to Express:
+ *
+ *   export const streamOrders = async (req, res, next) => {
+ *     try {
+ *       await streamQuery(req, res, {
+ *         query: "SELECT * FROM Orders WHERE CustomerId = @customerId",
+ *         params: { customerId: { type: mssql.Int, value: Number(req.params.id) } },
+ *         operationName: "streamOrders",
+ *       });
+ *     } catch (error) {
+ *       next(new DatabaseError(error, "streamOrders"));
+ *     }
+ *   };
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object for streaming output
+ * @param {Object} options
+ * @param {string} options.query - SQL text; reference params as @name
+ * @param {Object} options.params - name -> value or { type, value }
+ * @param {number} options.timeout - Query timeout in ms (default: 60000)
+ * @param {string} options.operationName - Name for logging, metrics and the in-flight listing
+ * @param {string} options.format - One of STREAM_FORMAT; when omitted it is negotiated from
+ *   ?format= or the Accept header (json, ndjson, csv or sse), and an unsupported ?format gets a 406
+ *   (FOR JSON PATH queries must pass STREAM_FORMAT.FOR_JSON_PATH; a request for anything but json gets a 406)
+ * @param {string} options.filename - CSV attachment name without extension (default: operationName)
+ * @param {string} options.poolName - Primary pool to run against (default: "default")
+ * @param {string} options.intent - QUERY_INTENT (default: READ, so a healthy replica may serve it)
+ * @param {number} options.maxBufferedBytes - Abort when this many bytes are buffered for a slow
+ *   client (default: STREAM_MAX_BUFFERED_BYTES or 16 MiB)
+ * @param {boolean} options.includeColumns - Add column metadata with JSON Schema fragments
+ *   (default: ?schema=true on the request; not available for CSV and FOR JSON PATH)
+ * @param {boolean} options.compress - Compress from Accept-Encoding (default: true; SSE is never compressed)
+ * @param {Object} options.sse - Server-Sent Events settings: { batchSize, progressInterval,
+ *   heartbeatInterval } (defaults: 100 rows, 1000 ms, 15000 ms)
+ * @returns {Promise<void>} Resolves when the response has ended
+ */
+export const streamQuery = async (
+  req,
+  res,
+  {
+    query,
+    params = {},
+    timeout = DEFAULT_STREAM_TIMEOUT,
+    operationName = "streamQuery",
+    format = null,
+    filename = operationName,
+    poolName = DEFAULT_POOL_NAME,
+    intent = QUERY_INTENT.READ,
+    maxBufferedBytes = getMaxBufferedBytes(),
+    includeColumns = wantsColumnSchema(req),
+    compress = true,
+    sse = {},
+  } = {}
+) => {
+  if (typeof query !== "string" || query.trim() === "") {
+    throw new Error(`${operationName}: query must be a non-empty string`);
+  }
+
+  // FOR JSON PATH output is JSON, so it is negotiated too and any other format gets a 406
+  const forJSONPath = format === STREAM_FORMAT.FOR_JSON_PATH;
+  const negotiated = format === null || forJSONPath;
+  const requested = negotiated ? negotiateStreamFormat(req) : format;
+  if (negotiated) {
+    res.vary("Accept");
+  }
+  if (forJSONPath ? requested !== STREAM_FORMAT.JSON : requested === null) {
+    sendNotAcceptable(
+      res,
+      req.query.format ?? NEGOTIABLE_FORMATS[requested],
+      forJSONPath ? [STREAM_FORMAT.JSON] : undefined
+    );
+    return;
+  }
+  const outputFormat = forJSONPath ? format : requested;
+  const createWriter = FORMAT_WRITERS[outputFormat];
+  if (!createWriter) {
+    throw new Error(`${operationName}: unknown stream format "${outputFormat}"`);
+  }
+  // Event streams stay uncompressed: each event must reach the client at once
+  const compressible = compress && outputFormat !== STREAM_FORMAT.SSE;
+  if (compressible) {
+    res.vary("Accept-Encoding");
+  }
+
+  // Same duration metric, circuit breaker and pool reset accounting as executeQuery
+  const accounting = startQueryAttempt(operationName);
+  let connection;
+  try {
+    connection = await getPoolForIntent(intent, poolName);
+  } catch (connectError) {
+    await accounting.fail(connectError);
+    throw connectError;
+  }
+  const { pool, poolName: servingPoolName } = connection;
+  accounting.connected(servingPoolName);
+  debugMSSQL("%s served by pool %s", operationName, servingPoolName);
+
+  return new Promise((resolve, reject) => {
+    // Filled by captureMessages once the request exists; writers read it in end()
+    const messages = [];
+    // Column descriptors per recordset, filled by the 'recordset' handler when requested
+    const columnSets = includeColumns ? [] : null;
+    const sink = createResponseSink(res, compressible ? negotiateEncoding(req) : null);
+    const writer = createWriter(sink, {
+      meta: { pool: servingPoolName },
+      filename: toFilename(filename, outputFormat),
+      messages,
+      columnSets,
+      sse,
+    });
+
+    // mssql emits 'done' after 'error'; a failure handed to Express must not be followed by output
+    let failed = false;
+    // Set once the response has been ended (done, error, cancel, timeout or buffer overflow);
+    // rows and recordsets still in flight are dropped instead of written after the end
+    let terminated = false;
+    const terminate = (success, errorMessage, result) => {
+      terminated = true;
+      writer.end(success, errorMessage, result);
+    };
+    const isWritable = () => !failed && !terminated && !sink.writableEnded && !sink.destroyed;
+    const fail = (err) => {
+      failed = true;
+      reject(err);
+    };
+    // A pool reset after a connection error must not hold up the response
+    const recordFailure = (err) => {
+      accounting.fail(err).catch((accountingError) => {
+        logger.error(`Error recording ${operationName} failure: ${accountingError.message}`);
+      });
+    };
+
+    const { request, markCompleted, setupTimeout, cancel, applyBackpressure } = createStreamingRequest(
+      pool,
+      req,
+      res,
+      {
+        timeout,
+        operationName,
+        poolName: servingPoolName,
+        onCancel: createStreamCancelHandler(sink, writer, terminate),
+        maxBufferedBytes,
+        output: sink,
+      }
+    );
+
+    try {
+      bindParams(request, params);
+    } catch (paramError) {
+      markCompleted();
+      recordFailure(paramError);
+      fail(paramError);
+      return;
+    }
+
+    /**
+     * 'info' event: Fires for PRINT statements and low-severity RAISERROR in T-SQL
+     * Messages are written with the response metadata, in arrival order
+     */
+    captureMessages(request, operationName, messages);
+
+    /**
+     * 'recordset' event: Fires when a result set starts, provides column metadata
+     * The first one tells us the query executed successfully and starts the response;
+     * later ones (multi-statement batches, procedures) open a new recordset
+     */
+    request.on("recordset", (columns) => {
+      debugMSSQL("%s recordset metadata received", operationName);
+      columnSets?.push(describeColumns(columns));
+      if (res.headersSent) {
+        if (isWritable()) {
+          writer.recordset(columns);
+          sink.flush();
+        }
+        return;
+      }
+      try {
+        sink.open(200, writer.headers);
+        writer.begin(columns);
+      } catch (headerError) {
+        logger.error(`Error setting up response headers: ${headerError.message}`);
+        if (!res.headersSent) {
+          cancel();
+          fail(headerError);
+        }
+      }
+    });
+
+    /**
+     * 'row' event: Write the row, then let backpressure pause the query if the
+     * client is not keeping up. Exceeding maxBufferedBytes aborts the stream.
+     */
+    request.on("row", (row) => {
+      if (!isWritable()) return;
+      if (writer.row(row)) {
+        streamRowsSent.inc({ operation: operationName });
+        sink.rowWritten();
+      }
+      if (applyBackpressure() === BACKPRESSURE.OVERFLOW) {
+        streamBufferOverflows.inc({ operation: operationName });
+        logger.warn(
+          `${operationName} aborted: ${sink.writableLength} bytes buffered exceeds ${maxBufferedBytes}`
+        );
+        cancel();
+        terminate(false, "Response buffer limit exceeded", null);
+      }
+    });
+
+    /**
+     * 'error' event: Fires if query execution fails
+     * Headers sent means the structure can still be closed gracefully; otherwise
+     * the promise rejects and the caller's error handler responds
+     */
+    request.on("error", (err) => {
+      logger.error(`Error streaming ${operationName}: ${err.message}`);
+      markCompleted();
+      recordFailure(err);
+
+      if (res.headersSent || res.destroyed) {
+        terminate(false, err?.message || "Database streaming error", null);
+        resolve();
+      } else {
+        fail(err);
+      }
+    });
+
+    /**
+     * 'done' event: Fires when all rows have been processed
+     * A query without a result set (e.g. only PRINT) still gets a complete response
+     */
+    request.on("done", (result) => {
+      markCompleted();
+      // Ignored when 'error' already recorded the failure
+      accounting.succeed();
+      if (failed) return;
+      debugMSSQL("Finished streaming %s", operationName);
+
+      try {
+        if (!res.headersSent) {
+          sink.open(200, writer.headers);
+        }
+        terminate(true, null, result);
+      } catch (doneError) {
+        logger.error(`Error in ${operationName} done event: ${doneError.message}`);
+        safeResponseEnd(sink);
+      }
+      resolve();
+    });
+
+    /**
+     * Query timeout: prevents runaway queries from blocking indefinitely
+     * Before headers are sent the resulting cancel error rejects the promise
+     */
+    setupTimeout(() => {
+      try {
+        cancel();
+        if (res.headersSent) {
+          terminate(false, "Query timeout", null);
+        }
+      } catch (timeoutError) {
+        logger.error(`Error handling ${operationName} query timeout: ${timeoutError.message}`);
+      }
+    });
+
+    // Event streams start before the first result set so heartbeats cover a slow query
+    if (writer.openImmediately) {
+      try {
+        sink.open(200, writer.headers);
+        writer.begin(null);
+      } catch (headerError) {
+        logger.error(`Error opening ${operationName} stream: ${headerError.message}`);
+        markCompleted();
+        recordFailure(headerError);
+        if (!res.headersSent) {
+          fail(headerError);
+        } else {
+          terminate(false, headerError.message, null);
+          resolve();
+        }
+        return;
+      }
+    }
+
+    // Call query AFTER setting up event listeners
+    // Order is critical: listeners must be attached before query executes
+    request.query(query);
+  });
+};
@@ -0,0 +1,39 @@
+import crypto from "node:crypto";
+
+/**
+ * Express middleware guarding admin endpoints with a bearer token
+ *
+ * The token comes from ADMIN_TOKEN. When it is not set the admin endpoints are
+ * disabled entirely (404), so they are never exposed by accident.
+ * Tokens are compared in constant time.
+ */
+export const requireAdminToken = (req, res, next) => {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: "ROUTE_NOT_FOUND",
+        message: "The requested API endpoint does not exist",
+        status: 404,
+      },
+    });
+  }
+
+  const provided = (req.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+  const expectedDigest = crypto.createHash("sha256").update(expected).digest();
+  const providedDigest = crypto.createHash("sha256").update(provided).digest();
+
+  if (!provided || !crypto.timingSafeEqual(expectedDigest, providedDigest)) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: "UNAUTHORIZED",
+        message: "A valid admin token is required",
+        status: 401,
+      },
+    });
+  }
+
+  next();
+};
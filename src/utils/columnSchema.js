@@ -0,0 +1,159 @@
+import mssql from "mssql";
+import { getJSONPolicies, JSON_POLICY } from "./json.js";
+
+/**
+ * Column schema metadata for API responses
+ *
+ * Turns the column metadata mssql attaches to a recordset (recordset.columns,
+ * or the argument of the streaming 'recordset' event) into descriptors clients
+ * can use: name, SQL type, nullability, length/precision/scale, and a JSON Schema
+ * fragment describing the value as it appears in the JSON response under the
+ * current serialization policies (JSON_POLICY in src/utils/json.js).
+ */
+
+// Integer ranges, so generated schemas reject out-of-range values
+const INTEGER_RANGES = {
+  tinyint: [0, 255],
+  smallint: [-32768, 32767],
+  int: [-2147483648, 2147483647],
+};
+
+// Types whose length is reported in bytes but declared in characters
+const DOUBLE_BYTE_TYPES = new Set(["nchar", "nvarchar", "ntext"]);
+const LENGTH_TYPES = new Set(["char", "varchar", "nchar", "nvarchar", "binary", "varbinary"]);
+const PRECISION_TYPES = new Set(["decimal", "numeric"]);
+const SCALE_TYPES = new Set(["decimal", "numeric", "time", "datetime2", "datetimeoffset"]);
+const STRING_TYPES = new Set(["char", "varchar", "nchar", "nvarchar", "text", "ntext", "xml"]);
+const DATE_TYPES = new Set(["date", "time", "datetime", "datetime2", "smalldatetime", "datetimeoffset"]);
+const DECIMAL_TYPES = new Set(["decimal", "numeric", "money", "smallmoney"]);
+const NUMBER_TYPES = new Set(["float", "real"]);
+const BINARY_TYPES = new Set(["binary", "varbinary", "image", "udt"]);
+
+/**
+ * Does the request ask for column metadata (?schema=true or ?schema=1)
+ * Off by default so existing consumers see unchanged responses.
+ * @param {Object} req - Express request object
+ * @returns {boolean}
+ */
+export const wantsColumnSchema = (req) => ["true", "1"].includes(String(req.query?.schema).toLowerCase());
+
+/**
+ * Declared length in characters or bytes; null for (max) columns
+ */
+const declaredLength = (declaration, length) => {
+  if (length === undefined || length === null || length === mssql.MAX) return null;
+  return DOUBLE_BYTE_TYPES.has(declaration) ? length / 2 : length;
+};
+
+/**
+ * JSON Schema fragment for date/time values under the dates policy
+ * "naive" drops the offset, which JSON Schema's date-time and time formats require
+ */
+const dateSchema = (declaration, policies) => {
+  if (policies.dates !== JSON_POLICY.DATES.NAIVE || declaration === "datetimeoffset") {
+    return { type: "string", format: "date-time" };
+  }
+  if (declaration === "date") return { type: "string", format: "date" };
+  if (declaration === "time") return { type: "string", pattern: "^[0-9]{2}:[0-9]{2}:[0-9]{2}\\.[0-9]{3}$" };
+  return { type: "string", pattern: "^[0-9]{4}-[0-9]{2}-[0-9]{2}T[0-9]{2}:[0-9]{2}:[0-9]{2}\\.[0-9]{3}$" };
+};
+
+/**
+ * JSON Schema fragment for binary values under the binary policy
+ */
+const binarySchema = (policies) => {
+  if (policies.binary === JSON_POLICY.BINARY.HEX) return { type: "string", pattern: "^0x[0-9A-F]*$" };
+  if (policies.binary === JSON_POLICY.BINARY.BUFFER) {
+    return {
+      type: "object",
+      properties: {
+        type: { const: "Buffer" },
+        data: { type: "array", items: { type: "integer", minimum: 0, maximum: 255 } },
+      },
+    };
+  }
+  return { type: "string", contentEncoding: "base64" };
+};
+
+/**
+ * JSON Schema fragment for values of a SQL type, as safeJSONStringify writes them
+ * - bigint: string of digits, or an integer with JSON_BIGINT=number
+ * - decimal/money: number, or a fixed-point string with JSON_DECIMAL=fixed
+ * - dates and times: ISO 8601 strings, without offset with JSON_DATES=naive
+ * - binary: base64, hex or Buffer object per JSON_BINARY
+ * - unknown types (sql_variant, geography, ...) accept any value
+ *
+ * @param {string} declaration - SQL type name, e.g. "nvarchar"
+ * @param {number|null} length - Declared length from declaredLength()
+ * @param {Object} policies - From getJSONPolicies()
+ * @returns {Object} JSON Schema fragment without nullability
+ */
+const toJSONSchema = (declaration, length, policies) => {
+  if (INTEGER_RANGES[declaration]) {
+    const [minimum, maximum] = INTEGER_RANGES[declaration];
+    return { type: "integer", minimum, maximum };
+  }
+  if (declaration === "bigint") {
+    return policies.bigint === JSON_POLICY.BIGINT.NUMBER
+      ? { type: "integer" }
+      : { type: "string", pattern: "^-?[0-9]+$" };
+  }
+  if (declaration === "bit") return { type: "boolean" };
+  if (declaration === "uniqueidentifier") return { type: "string", format: "uuid" };
+  if (DECIMAL_TYPES.has(declaration)) {
+    return policies.decimal === JSON_POLICY.DECIMAL.FIXED
+      ? { type: "string", pattern: "^-?[0-9]+(\\.[0-9]+)?$" }
+      : { type: "number" };
+  }
+  if (NUMBER_TYPES.has(declaration)) return { type: "number" };
+  if (DATE_TYPES.has(declaration)) return dateSchema(declaration, policies);
+  if (STRING_TYPES.has(declaration)) {
+    return length === null ? { type: "string" } : { type: "string", maxLength: length };
+  }
+  if (BINARY_TYPES.has(declaration)) return binarySchema(policies);
+  return {};
+};
+
+/**
+ * Describe one column
+ *
+ * Usage Examples:
+ *   describeColumn({ name: "UUID", type: mssql.UniqueIdentifier, nullable: false, ... })
+ *   → { name: "UUID", type: "uniqueidentifier", nullable: false, schema: { type: "string", format: "uuid" } }
+ *   describeColumn({ name: "Note", type: mssql.NVarChar, length: 100, nullable: true, ... })
+ *   → { name: "Note", type: "nvarchar", nullable: true, length: 50,
+ *       schema: { type: ["string", "null"], maxLength: 50 } }
+ *
+ * @param {Object} column - mssql column metadata
+ * @param {Object} policies - From getJSONPolicies() (default: current environment)
+ * @returns {Object} { name, type, nullable, length?, precision?, scale?, schema }
+ */
+export const describeColumn = (column, policies = getJSONPolicies()) => {
+  const declaration = column.type?.declaration ?? null;
+  const length = LENGTH_TYPES.has(declaration) ? declaredLength(declaration, column.length) : null;
+  const schema = toJSONSchema(declaration, length, policies);
+  if (column.nullable && schema.type) {
+    schema.type = [schema.type, "null"];
+  }
+
+  return {
+    name: column.name,
+    type: column.udt?.name ?? declaration,
+    nullable: Boolean(column.nullable),
+    ...(LENGTH_TYPES.has(declaration) && { length: length ?? "max" }),
+    ...(PRECISION_TYPES.has(declaration) && { precision: column.precision }),
+    ...(SCALE_TYPES.has(declaration) && { scale: column.scale }),
+    schema,
+  };
+};
+
+/**
+ * Describe a recordset's columns in column order
+ * @param {Object} columns - recordset.columns (name -> metadata) or the streaming 'recordset' argument
+ * @param {Object} policies - From getJSONPolicies() (default: current environment)
+ * @returns {Object[]} Column descriptors from describeColumn()
+ */
+export const describeColumns = (columns, policies = getJSONPolicies()) =>
+  Object.values(columns ?? {})
+    .sort((a, b) => a.index - b.index)
+    .map((column) => describeColumn(column, policies));
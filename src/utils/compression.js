@@ -0,0 +1,128 @@
+import zlib from "node:zlib";
+import logger from "./logger.js";
+
+/**
+ * Response compression with node:zlib
+ *
+ * Streamed responses get a compressor piped in front of the response
+ * (see createResponseSink in src/services/streamQuery.js); other responses
+ * are compressed in one piece by compressResponses() when they are large enough.
+ */
+
+export const CONTENT_ENCODING = Object.freeze({
+  BROTLI: "br",
+  GZIP: "gzip",
+});
+
+// Media types worth compressing; binary formats are usually compressed already
+const COMPRESSIBLE_TYPE = /^(application\/(json|x-ndjson|.*\+json)|text\/)/i;
+
+// Brotli defaults to quality 11, far too slow for live responses; 4 compresses about as well as gzip -6, faster
+const BROTLI_OPTIONS = Object.freeze({
+  params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 },
+});
+
+/**
+ * Smallest non-streaming body worth compressing, in bytes
+ * COMPRESSION_THRESHOLD overrides it (default 1024, -1 disables compression of
+ * non-streaming responses)
+ */
+export const getCompressionThreshold = () => {
+  const value = parseInt(process.env.COMPRESSION_THRESHOLD ?? "1024");
+  return Number.isNaN(value) ? 1024 : value;
+};
+
+/**
+ * Pick the content encoding from Accept-Encoding
+ * Brotli is preferred over gzip when the client weights them equally.
+ * @param {Object} req - Express request object
+ * @returns {string|null} One of CONTENT_ENCODING, or null to send the body as-is
+ */
+export const negotiateEncoding = (req) => {
+  const encoding = req.acceptsEncodings(CONTENT_ENCODING.BROTLI, CONTENT_ENCODING.GZIP, "identity");
+  return Object.values(CONTENT_ENCODING).includes(encoding) ? encoding : null;
+};
+
+/**
+ * Create a streaming compressor for an encoding
+ * @param {string} encoding - One of CONTENT_ENCODING
+ * @returns {zlib.Gzip|zlib.BrotliCompress}
+ */
+export const createCompressor = (encoding) =>
+  encoding === CONTENT_ENCODING.BROTLI ? zlib.createBrotliCompress(BROTLI_OPTIONS) : zlib.createGzip();
+
+/**
+ * Push everything written so far out of the compressor without ending it
+ * A sync flush (not a full flush) keeps the compression dictionary, so frequent
+ * flushes cost little ratio.
+ * @param {zlib.Gzip|zlib.BrotliCompress} compressor - From createCompressor
+ * @param {string} encoding - Encoding the compressor was created for
+ */
+export const flushCompressor = (compressor, encoding) => {
+  compressor.flush(
+    encoding === CONTENT_ENCODING.BROTLI
+      ? zlib.constants.BROTLI_OPERATION_FLUSH
+      : zlib.constants.Z_SYNC_FLUSH
+  );
+};
+
+const compressBody = (encoding, body, callback) =>
+  encoding === CONTENT_ENCODING.BROTLI
+    ? zlib.brotliCompress(body, BROTLI_OPTIONS, callback)
+    : zlib.gzip(body, callback);
+
+/**
+ * Express middleware compressing res.send()/res.json() bodies
+ *
+ * Bodies below COMPRESSION_THRESHOLD bytes are sent as-is: compressing a small
+ * JSON envelope saves little and costs a zlib round trip. Only text and JSON
+ * types with an explicit Content-Type are compressed. Streamed responses use
+ * res.write() and are not affected; streamQuery compresses those itself.
+ *
+ * Compression runs on the zlib thread pool, so a large batch response does not
+ * block the event loop.
+ *
+ * @returns {Function} Express middleware
+ */
+export const compressResponses = () => (req, res, next) => {
+  const send = res.send.bind(res);
+
+  res.send = (body) => {
+    const contentType = String(res.get("Content-Type") ?? "");
+    const threshold = getCompressionThreshold();
+    if (
+      threshold < 0 ||
+      (typeof body !== "string" && !Buffer.isBuffer(body)) ||
+      !COMPRESSIBLE_TYPE.test(contentType) ||
+      res.get("Content-Encoding") ||
+      req.method === "HEAD" ||
+      res.statusCode === 204 ||
+      res.statusCode === 304
+    ) {
+      return send(body);
+    }
+
+    res.vary("Accept-Encoding");
+    const encoding = negotiateEncoding(req);
+    if (!encoding || Buffer.byteLength(body) < threshold) {
+      return send(body);
+    }
+
+    compressBody(encoding, body, (err, compressed) => {
+      if (err) {
+        logger.warn(`Response compression failed, sending uncompressed: ${err.message}`);
+        send(body);
+        return;
+      }
+      // res.send() adds the charset for strings but not for the compressed Buffer
+      if (typeof body === "string" && !/charset=/i.test(contentType)) {
+        res.set("Content-Type", `${contentType}; charset=utf-8`);
+      }
+      res.set("Content-Encoding", encoding);
+      send(compressed);
+    });
+    return res;
+  };
+
+  next();
+};
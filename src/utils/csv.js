@@ -0,0 +1,136 @@
+/**
+ * RFC 4180 CSV encoding and parsing helpers
+ *
+ * Records end with CRLF. A field is quoted when it contains a comma, a double
+ * quote, CR or LF; embedded double quotes are doubled.
+ */
+
+export const CSV_LINE_ENDING = "\r\n";
+
+const NEEDS_QUOTING = /[",\r\n]/;
+
+/**
+ * Quote a single field if RFC 4180 requires it
+ *
+ * Usage Examples:
+ *   escapeCSVField('plain') → plain
+ *   escapeCSVField('a,b') → "a,b"
+ *   escapeCSVField('say "hi"') → "say ""hi"""
+ *
+ * @param {string} field - Field text
+ * @returns {string} Field ready to be joined with commas
+ */
+export const escapeCSVField = (field) =>
+  NEEDS_QUOTING.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+
+/**
+ * Convert a column value to CSV text
+ * - null/undefined: empty field
+ * - Date: ISO 8601
+ * - Buffer (binary columns): 0x-prefixed hex, as SQL Server displays it
+ * - objects: JSON
+ *
+ * @param {*} value - Column value from an mssql row
+ * @returns {string} Unescaped field text
+ */
+export const formatCSVValue = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? "" : value.toISOString();
+  if (Buffer.isBuffer(value)) return `0x${value.toString("hex").toUpperCase()}`;
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Build one CSV record, including the trailing CRLF
+ * @param {Array} values - Field values in column order
+ * @returns {string} Encoded record
+ */
+export const formatCSVRecord = (values) =>
+  `${values.map((value) => escapeCSVField(formatCSVValue(value))).join(",")}${CSV_LINE_ENDING}`;
+
+/**
+ * Parse CSV records from a stream of text chunks
+ *
+ * Handles quoted fields spanning chunks and lines, doubled quotes, and LF or
+ * CRLF line endings. Only one record is held in memory at a time, so uploads of
+ * any size can be parsed while they arrive; awaiting between records applies
+ * backpressure to the source. A record longer than `maxRecordLength` characters
+ * (say, one opened by an unterminated quote) ends parsing instead of growing
+ * without bound.
+ *
+ * Usage Examples:
+ *   req.setEncoding("utf8");
+ *   for await (const { fields, line } of parseCSVRecords(req)) { ... }
+ *   'a,"b ""c"""\r\n1,2' → { fields: ["a", 'b "c"'], line: 1 }, { fields: ["1", "2"], line: 2 }
+ *
+ * @param {AsyncIterable<string>} source - Text chunks (e.g. a request with setEncoding("utf8"))
+ * @param {Object} options
+ * @param {number} options.maxRecordLength - Longest record in characters, separators included (default: no limit)
+ * @yields {{ fields: string[], line: number, error?: string, tooLong?: boolean }} One record and the line it
+ *   starts on; `error` is set for a record cut off by an unterminated quote, and for a record over
+ *   maxRecordLength, which also sets `tooLong` and is the last one yielded
+ */
+export const parseCSVRecords = async function* (source, { maxRecordLength = Infinity } = {}) {
+  let fields = [];
+  let field = "";
+  let inQuotes = false;
+  // A quote just closed a quoted field; another quote right after it is an escaped quote
+  let afterQuote = false;
+  let line = 1;
+  let recordLine = 1;
+  let recordLength = 0;
+
+  for await (const chunk of source) {
+    for (const char of chunk) {
+      if (++recordLength > maxRecordLength) {
+        yield { fields: [], line: recordLine, error: `is longer than ${maxRecordLength} characters`, tooLong: true };
+        return;
+      }
+
+      if (inQuotes) {
+        if (char === '"') {
+          inQuotes = false;
+          afterQuote = true;
+        } else {
+          field += char;
+          if (char === "\n") line++;
+        }
+        continue;
+      }
+
+      if (afterQuote && char === '"') {
+        field += '"';
+        inQuotes = true;
+        afterQuote = false;
+        continue;
+      }
+      afterQuote = false;
+
+      if (char === '"' && field === "") {
+        inQuotes = true;
+      } else if (char === ",") {
+        fields.push(field);
+        field = "";
+      } else if (char === "\n") {
+        fields.push(field);
+        yield { fields, line: recordLine };
+        fields = [];
+        field = "";
+        line++;
+        recordLine = line;
+        recordLength = 0;
+      } else if (char !== "\r") {
+        field += char;
+      }
+    }
+  }
+
+  if (inQuotes) {
+    fields.push(field);
+    yield { fields, line: recordLine, error: "has an unterminated quoted field" };
+  } else if (field !== "" || fields.length > 0) {
+    fields.push(field);
+    yield { fields, line: recordLine };
+  }
+};
@@ -0,0 +1,74 @@
+import crypto from "node:crypto";
+import logger from "./logger.js";
+
+/**
+ * Opaque, signed pagination cursors
+ *
+ * A cursor is base64url(JSON payload) + "." + base64url(HMAC-SHA256 signature).
+ * Clients cannot read meaningful structure into it or forge one to jump to an
+ * arbitrary key: anything that fails verification decodes to null.
+ *
+ * The key comes from CURSOR_SECRET. Without it a random key is generated per
+ * process, so cursors stop working after a restart and are not shared between
+ * instances; set CURSOR_SECRET in production.
+ */
+
+const CURSOR_VERSION = 1;
+
+// CLOSURE: the fallback key is created once and reused for the life of the process
+let fallbackSecret = null;
+
+/**
+ * Signing key: CURSOR_SECRET, or the per-process fallback
+ * @returns {string|Buffer}
+ */
+const getCursorSecret = () => {
+  if (process.env.CURSOR_SECRET) return process.env.CURSOR_SECRET;
+  if (!fallbackSecret) {
+    logger.warn("CURSOR_SECRET is not set; pagination cursors will not survive a restart");
+    fallbackSecret = crypto.randomBytes(32);
+  }
+  return fallbackSecret;
+};
+
+const sign = (body) => crypto.createHmac("sha256", getCursorSecret()).update(body).digest();
+
+/**
+ * Encode and sign a cursor payload
+ *
+ * Usage Examples:
+ *   encodeCursor({ direction: "next", key: 42 }) → 'eyJ2IjoxLCJkaXJlY3Rpb24iOiJuZXh0Iiwia2V5Ijo0Mn0.Qm9...'
+ *
+ * @param {Object} payload - JSON-serializable position (e.g. { direction, key })
+ * @returns {string} Opaque cursor, safe to use in a query string
+ */
+export const encodeCursor = (payload) => {
+  const body = Buffer.from(JSON.stringify({ v: CURSOR_VERSION, ...payload })).toString("base64url");
+  return `${body}.${sign(body).toString("base64url")}`;
+};
+
+/**
+ * Verify and decode a cursor
+ * Signatures are compared in constant time.
+ *
+ * @param {string} cursor - Value produced by encodeCursor
+ * @returns {Object|null} The payload, or null if the cursor is malformed, tampered with or from another version
+ */
+export const decodeCursor = (cursor) => {
+  if (typeof cursor !== "string") return null;
+  const [body, signature, extra] = cursor.split(".");
+  if (!body || !signature || extra !== undefined) return null;
+
+  const expected = sign(body);
+  const provided = Buffer.from(signature, "base64url");
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return null;
+  }
+
+  try {
+    const { v, ...payload } = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    return v === CURSOR_VERSION ? payload : null;
+  } catch {
+    return null;
+  }
+};
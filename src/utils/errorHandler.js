@@ -10,12 +10,24 @@ export class DatabaseError extends Error {
         this.originalError = originalError;
         this.operation = operation;
         this.statusCode = this.categorizeError(originalError);
+        // Seconds the client should wait before retrying (sent as Retry-After)
+        this.retryAfter = originalError.retryAfter ?? null;
     }
 
     categorizeError(error) {
+        // Re-wrapped errors keep their original categorization
+        if (error instanceof DatabaseError) {
+            return error.statusCode;
+        }
+
         const errorCode = error.code?.toUpperCase();
         const errorMessage = error.message?.toLowerCase() || '';
 
+        // Circuit breaker open: fail fast without touching the pool
+        if (errorCode === 'ECIRCUITOPEN') {
+            return 503;
+        }
+
         // Connection failures
         if (errorCode === 'ECONNREFUSED' || errorCode === 'ENOTFOUND' || errorCode === 'ESOCKET' ||
             errorMessage.includes('connection') || errorMessage.includes('pool')) {
@@ -49,12 +61,40 @@ export class DatabaseError extends Error {
     }
 }
 
+/**
+ * Error a client can act on (4xx), sent with its own code and message
+ *
+ * Usage Examples:
+ *   next(new ApiError(404, 'RECORD_NOT_FOUND', 'Record 42 not found'))
+ *   → 404 {"success": false, "error": {"code": "RECORD_NOT_FOUND", "message": "Record 42 not found", "status": 404}}
+ *
+ * details, when given, is sent as error.details (e.g. the failing fields of a VALIDATION_ERROR).
+ */
+export class ApiError extends Error {
+    constructor(statusCode, code, message, details = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.statusCode = statusCode;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Codes for client errors raised by express.json()/urlencoded() (http-errors with a type)
+const BODY_PARSER_CODES = {
+    'entity.parse.failed': 'INVALID_JSON',
+    'entity.too.large': 'PAYLOAD_TOO_LARGE',
+    'encoding.unsupported': 'UNSUPPORTED_ENCODING',
+    'charset.unsupported': 'UNSUPPORTED_ENCODING'
+};
+
 /**
  * Express error handling middleware (must have 4 parameters)
  */
 export const errorMiddleware = (err, req, res, next) => {
-    // Log full error details server-side
-    logger.error('API Error:', {
+    // Log full error details server-side; client errors are expected, so only warn
+    const isClientError = err instanceof ApiError || (err.expose && err.status < 500);
+    logger[isClientError ? 'warn' : 'error']('API Error:', {
         operation: err.operation || 'unknown',
         path: req.path,
         method: req.method,
@@ -72,22 +112,39 @@ export const errorMiddleware = (err, req, res, next) => {
     let statusCode = 500;
     let errorCode = 'INTERNAL_ERROR';
     let message = 'An unexpected error occurred';
+    let details = null;
 
     if (err instanceof DatabaseError) {
         statusCode = err.statusCode;
         errorCode = err.getErrorCode();
         message = err.getUserMessage();
+    } else if (err instanceof ApiError) {
+        statusCode = err.statusCode;
+        errorCode = err.code;
+        message = err.message;
+        details = err.details;
+    } else if (err.expose && err.status >= 400 && err.status < 500) {
+        // Request body errors: http-errors marks their messages safe to expose
+        statusCode = err.status;
+        errorCode = BODY_PARSER_CODES[err.type] || 'BAD_REQUEST';
+        message = err.message;
     } else if (err.statusCode) {
         statusCode = err.statusCode;
     }
 
+    // Tell clients when a fast-failed request is worth retrying
+    if (err.retryAfter) {
+        res.set('Retry-After', String(err.retryAfter));
+    }
+
     // Send sanitized error response
     res.status(statusCode).json({
         success: false,
         error: {
             code: errorCode,
             message: message,
-            status: statusCode
+            status: statusCode,
+            ...(details && { details })
         }
     });
 };
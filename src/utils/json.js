@@ -1,27 +1,207 @@
 import logger from "./logger.js";
 
 /**
- * Safely stringify JSON with error handling and fallback
+ * Serialization policies for SQL Server values (read from the environment)
+ * - JSON_BIGINT: "string" (default) keeps bigint exact as "9007199254740993";
+ *   "number" writes the digits unquoted (exact on the wire; JSON.parse in a browser rounds past 2^53)
+ * - JSON_DECIMAL: "number" (default) for decimal/numeric/money; "fixed" formats them as text with
+ *   the column's scale, e.g. money 12.5 → "12.5000". This is presentation only: tedious has already
+ *   parsed the value into a double, so digits beyond double precision (~15-17) are lost either way
+ * - JSON_BINARY: "base64" (default), "hex" ("0x01AB", as SQL Server displays it) or "buffer"
+ *   (Node's {"type":"Buffer","data":[...]})
+ * - JSON_DATES: "iso" (default) writes UTC with "Z"; "naive" writes date/time columns without an offset,
+ *   as stored (date → "2024-01-15", time → "10:30:00.000", datetime → "2024-01-15T10:30:00.000").
+ *   datetimeoffset always keeps its offset.
+ * - JSON_FALLBACK: what replaces a single field that cannot be serialized: "null" (default) or "string" (String(value))
+ */
+export const JSON_POLICY = Object.freeze({
+  BIGINT: Object.freeze({ STRING: "string", NUMBER: "number" }),
+  DECIMAL: Object.freeze({ NUMBER: "number", FIXED: "fixed" }),
+  BINARY: Object.freeze({ BASE64: "base64", HEX: "hex", BUFFER: "buffer" }),
+  DATES: Object.freeze({ ISO: "iso", NAIVE: "naive" }),
+  FALLBACK: Object.freeze({ NULL: "null", STRING: "string" }),
+});
+
+const DECIMAL_TYPES = new Set(["decimal", "numeric", "money", "smallmoney"]);
+const MONEY_SCALE = 4;
+
+// Unknown values fall back to the default (the first value of each policy)
+const readPolicy = (name, allowed) => {
+  const value = (process.env[name] || "").toLowerCase();
+  const values = Object.values(allowed);
+  return values.includes(value) ? value : values[0];
+};
+
+/**
+ * Current serialization policies from the JSON_* variables
+ * @returns {{bigint: string, decimal: string, binary: string, dates: string, fallback: string}}
+ */
+export const getJSONPolicies = () => ({
+  bigint: readPolicy("JSON_BIGINT", JSON_POLICY.BIGINT),
+  decimal: readPolicy("JSON_DECIMAL", JSON_POLICY.DECIMAL),
+  binary: readPolicy("JSON_BINARY", JSON_POLICY.BINARY),
+  dates: readPolicy("JSON_DATES", JSON_POLICY.DATES),
+  fallback: readPolicy("JSON_FALLBACK", JSON_POLICY.FALLBACK),
+});
+
+/**
+ * Date as text according to the dates policy
+ * mssql reads date/time columns as UTC (its default useUTC), so the UTC fields are the stored values
+ */
+const formatDate = (date, declaration, policies) => {
+  if (Number.isNaN(date.getTime())) return null;
+  const iso = date.toISOString();
+  if (policies.dates !== JSON_POLICY.DATES.NAIVE || declaration === "datetimeoffset") return iso;
+  if (declaration === "date") return iso.slice(0, 10);
+  if (declaration === "time") return iso.slice(11, 23);
+  return iso.slice(0, 23);
+};
+
+const formatBinary = (buffer, policies) => {
+  if (policies.binary === JSON_POLICY.BINARY.HEX) return `0x${buffer.toString("hex").toUpperCase()}`;
+  if (policies.binary === JSON_POLICY.BINARY.BUFFER) return buffer.toJSON();
+  return buffer.toString("base64");
+};
+
+// Column metadata attached to a single row by withColumns(); a symbol, so it is never serialized
+const ROW_COLUMNS = Symbol("columns");
+
+/**
+ * Attach a recordset's column metadata to one of its rows
+ * Lets a single record (e.g. GET /api/records/:id) serialize with its SQL types
+ * the same way a whole recordset does.
+ *
+ * Usage Examples:
+ *   sendJSON(res, { success: true, data: withColumns(recordset[0], recordset.columns) })
+ *
+ * @param {Object} row - Row from an mssql recordset
+ * @param {Object} columns - recordset.columns
+ * @returns {Object} The same row
+ */
+export const withColumns = (row, columns) => Object.assign(row, { [ROW_COLUMNS]: columns });
+
+/**
+ * Encode one value as JSON text
+ *
+ * `column` is the mssql column metadata when known, which lets bigint strings and
+ * decimals follow their policies. Arrays carrying `columns` (mssql recordsets) pass
+ * each row's column metadata down, so whole query results serialize faithfully;
+ * single rows carry theirs through withColumns().
+ * Object fields are encoded one by one through encodeField, so a bad field
+ * never takes its row down with it.
+ *
+ * CLOSURE: `seen` holds the objects on the current path to detect circular references.
+ */
+const encodeValue = (value, column, policies, seen) => {
+  if (value === null || value === undefined) return "null";
+  const declaration = column?.type?.declaration;
+
+  switch (typeof value) {
+    case "bigint":
+      return policies.bigint === JSON_POLICY.BIGINT.NUMBER ? value.toString() : `"${value}"`;
+    case "number":
+      if (!Number.isFinite(value)) return "null";
+      if (DECIMAL_TYPES.has(declaration) && policies.decimal === JSON_POLICY.DECIMAL.FIXED) {
+        const scale = declaration.endsWith("money") ? MONEY_SCALE : column.scale ?? 0;
+        return JSON.stringify(value.toFixed(scale));
+      }
+      return String(value);
+    case "string":
+      if (declaration === "bigint" && policies.bigint === JSON_POLICY.BIGINT.NUMBER && /^-?[0-9]+$/.test(value)) {
+        return value;
+      }
+      return JSON.stringify(value);
+    case "object":
+      break;
+    default:
+      // Booleans; functions and symbols become null as in JSON.stringify
+      return JSON.stringify(value) ?? "null";
+  }
+
+  if (Buffer.isBuffer(value)) return JSON.stringify(formatBinary(value, policies));
+  if (value instanceof Date) return JSON.stringify(formatDate(value, declaration, policies));
+
+  if (seen.has(value)) {
+    throw new TypeError("Converting circular structure to JSON");
+  }
+  seen.add(value);
+  try {
+    if (Array.isArray(value)) {
+      const rowColumns = value.columns ?? null;
+      const items = value.map((item, index) =>
+        rowColumns && item !== null && typeof item === "object" && !Array.isArray(item)
+          ? encodeObject(item, rowColumns, policies, seen)
+          : encodeField(index, item, null, policies, seen)
+      );
+      return `[${items.join(",")}]`;
+    }
+    if (typeof value.toJSON === "function") {
+      return encodeValue(value.toJSON(), column, policies, seen);
+    }
+    return encodeObject(value, value[ROW_COLUMNS] ?? null, policies, seen);
+  } finally {
+    seen.delete(value);
+  }
+};
+
+/**
+ * Encode a value, replacing it according to the fallback policy if it cannot be serialized
+ */
+const encodeField = (key, value, column, policies, seen) => {
+  try {
+    return encodeValue(value, column, policies, seen);
+  } catch (fieldError) {
+    logger.warn(`JSON serialization failed for field "${key}": ${fieldError.message}`);
+    if (policies.fallback === JSON_POLICY.FALLBACK.STRING) {
+      try {
+        return JSON.stringify(String(value));
+      } catch {
+        return "null";
+      }
+    }
+    return "null";
+  }
+};
+
+/**
+ * Encode an object field by field; undefined, function and symbol fields are skipped like JSON.stringify
+ * @param {Object|null} columns - mssql column metadata by name, for rows of a recordset
+ */
+const encodeObject = (obj, columns, policies, seen) => {
+  const fields = [];
+  for (const [key, fieldValue] of Object.entries(obj)) {
+    if (fieldValue === undefined || typeof fieldValue === "function" || typeof fieldValue === "symbol") continue;
+    fields.push(`${JSON.stringify(key)}:${encodeField(key, fieldValue, columns?.[key], policies, seen)}`);
+  }
+  return `{${fields.join(",")}}`;
+};
+
+/**
+ * Safely stringify JSON with type-faithful serialization and per-field fallback
  *
  * Purpose:
- * Prevents streaming from breaking when encountering non-serializable objects
- * (circular references, buffers, undefined, etc.)
+ * Prevents streaming from breaking when encountering non-serializable values
+ * (BigInt, circular references, throwing toJSON, etc.) and writes SQL Server
+ * types according to the JSON_POLICY settings.
  *
  * Implementation Strategy:
- * - Attempts JSON.stringify on input
- * - On failure, returns a safe descriptor object containing error info
+ * - Encodes objects field by field; a field that fails is replaced by null (or its
+ *   string form) instead of failing the whole row
+ * - mssql recordsets (arrays with `columns`) are encoded with their column types
  * - Never throws; always returns valid JSON string
  *
  * Usage Examples:
- *   safeJSONStringify({circular: someCircularRef}) → '{"error":"Data serialization failed","originalType":"object"}'
+ *   safeJSONStringify({id: 1n, data: Buffer.from([1, 171])}) → '{"id":"1","data":"Aas="}'
+ *   safeJSONStringify({a: 1, self: circularRef}) → '{"a":1,"self":null}'
  *   safeJSONStringify(validData) → '{"key":"value"}'
  *
- * @param {*} obj - Object to stringify (any type, including circular/non-serializable)
+ * @param {*} obj - Value to stringify (any type, including circular/non-serializable)
+ * @param {Object} policies - From getJSONPolicies() (default: current environment)
  * @returns {string} Serialized JSON string (always valid, never throws)
  */
-export const safeJSONStringify = (obj) => {
+export const safeJSONStringify = (obj, policies = getJSONPolicies()) => {
   try {
-    return JSON.stringify(obj);
+    return encodeValue(obj, null, policies, new WeakSet());
   } catch (stringifyError) {
     logger.error(`JSON stringify error: ${stringifyError.message}`);
     // Return a safe fallback object
@@ -32,6 +212,38 @@ export const safeJSONStringify = (obj) => {
   }
 };
 
+/**
+ * Create a serializer for the rows of one recordset
+ *
+ * Streaming writers call this once per recordset with the column metadata from
+ * the 'recordset' event; policies are read once per recordset, not per row.
+ *
+ * @param {Object|null} columns - mssql column metadata by name
+ * @param {Object} policies - From getJSONPolicies() (default: current environment)
+ * @returns {Function} (row) => JSON text, never throws
+ */
+export const createRowSerializer = (columns, policies = getJSONPolicies()) => (row) => {
+  try {
+    return encodeObject(row, columns ?? null, policies, new WeakSet());
+  } catch (rowError) {
+    logger.error(`JSON row serialization error: ${rowError.message}`);
+    return JSON.stringify({ error: "Data serialization failed" });
+  }
+};
+
+/**
+ * Send a JSON response through safeJSONStringify
+ *
+ * Controllers use this instead of res.json() for bodies holding query results,
+ * so every endpoint applies the same serialization policies as the streams.
+ *
+ * @param {Object} res - Express response object
+ * @param {*} body - Response body
+ * @param {number} status - HTTP status (default: 200)
+ */
+export const sendJSON = (res, body, status = 200) =>
+  res.status(status).type("application/json").send(safeJSONStringify(body));
+
 /**
  * Safely parse JSON with fallback value on failure
  *
@@ -72,23 +284,27 @@ export const safeJSONParse = (jsonString, fallback = []) => {
  * {
  *   success: boolean,
  *   error: string,      // Only if errorMessage provided
- *   result: object      // Only if result provided
+ *   result: object,     // Only if result provided
+ *   meta: object        // Only if meta provided (e.g. {pool: "replica"})
  * }
  *
  * Usage Examples:
  *   createMetadata(true) → {success: true}
  *   createMetadata(false, "Timeout") → {success: false, error: "Timeout"}
  *   createMetadata(true, null, {rowsAffected: 5}) → {success: true, result: {rowsAffected: 5}}
+ *   createMetadata(true, null, null, {pool: "default"}) → {success: true, meta: {pool: "default"}}
  *
  * @param {boolean} success - Operation success status
  * @param {string|null} errorMessage - Error message if any (default: null)
  * @param {*} result - Query result metadata if any (default: null)
+ * @param {Object|null} meta - Response metadata such as the serving pool (default: null)
  * @returns {Object} Metadata object with conditional fields
  */
-export const createMetadata = (success, errorMessage = null, result = null) => ({
+export const createMetadata = (success, errorMessage = null, result = null, meta = null) => ({
   success,
   ...(errorMessage && { error: errorMessage }),
   ...(result && { result }),
+  ...(meta && { meta }),
 });
 
 /**
@@ -99,14 +315,15 @@ export const createMetadata = (success, errorMessage = null, result = null) => (
  * Ensures consistent Content-Type and transfer semantics
  *
  * Headers:
- * - Content-Type: application/json - Declares JSON content
+ * - Content-Type: application/json by default (application/x-ndjson for NDJSON streams)
  * - Transfer-Encoding: chunked - Enables streaming without Content-Length
  * - Cache-Control: no-cache - Prevents caching of live streams
  *
+ * @param {string} contentType - Media type of the stream (default: application/json)
  * @returns {Object} Headers object for res.writeHead()
  */
-export const createStreamingHeaders = () => ({
-  "Content-Type": "application/json",
+export const createStreamingHeaders = (contentType = "application/json") => ({
+  "Content-Type": contentType,
   "Transfer-Encoding": "chunked",
   "Cache-Control": "no-cache",
 });
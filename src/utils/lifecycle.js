@@ -0,0 +1,24 @@
+// src/utils/lifecycle.js
+// Process lifecycle state shared between server.js and health checks
+
+let shutdownStartedAt = null;
+
+/**
+ * Record that graceful shutdown has begun
+ * Readiness checks report not ready from this moment on
+ */
+export const markShuttingDown = () => {
+  if (!shutdownStartedAt) {
+    shutdownStartedAt = new Date();
+  }
+};
+
+/**
+ * @returns {boolean} Whether graceful shutdown has begun
+ */
+export const isShuttingDown = () => shutdownStartedAt !== null;
+
+/**
+ * @returns {Date|null} When graceful shutdown began, or null while running
+ */
+export const getShutdownStartedAt = () => shutdownStartedAt;
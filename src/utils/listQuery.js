@@ -0,0 +1,325 @@
+import { createValidationError, VALIDATION_LOCATION } from "./validation.js";
+
+/**
+ * Filter, sort and field selection grammar for list endpoints
+ *
+ *   ?filter=REC_QY:gte:5,CreatedDate:lt:2026-01-01&sort=-CreatedDate&fields=RecordID,REC_QY
+ *
+ * - filter: comma-separated column:operator:value conditions, all of which must hold
+ * - sort: comma-separated columns, "-" for descending; the resource key is always
+ *   appended as a tie-breaker so the order is total and keyset cursors stay exact
+ * - fields: comma-separated columns to return (default: all)
+ *
+ * Each resource whitelists its columns, and per column the operators it can be
+ * filtered with and whether it can be sorted on. Column names in the generated
+ * SQL come from the whitelist only and every value is bound as a parameter, so
+ * nothing from the URL is ever concatenated into SQL text.
+ *
+ * Problems are reported together as a 400 VALIDATION_ERROR, like validate().
+ */
+
+export const FILTER_OPERATOR = Object.freeze({
+  EQ: "eq",
+  NE: "ne",
+  GT: "gt",
+  GTE: "gte",
+  LT: "lt",
+  LTE: "lte",
+  IN: "in",
+  NULL: "null",
+});
+
+// How filter values and cursor keys are read from text
+export const COLUMN_KIND = Object.freeze({
+  INTEGER: "integer",
+  DATE: "date",
+  STRING: "string",
+});
+
+const COMPARISONS = {
+  [FILTER_OPERATOR.EQ]: "=",
+  [FILTER_OPERATOR.NE]: "<>",
+  [FILTER_OPERATOR.GT]: ">",
+  [FILTER_OPERATOR.GTE]: ">=",
+  [FILTER_OPERATOR.LT]: "<",
+  [FILTER_OPERATOR.LTE]: "<=",
+};
+
+// Keeps IN lists well below SQL Server's 2100 parameter limit
+const MAX_IN_VALUES = 100;
+
+// Dates as YYYY-MM-DD, optionally with a time and offset; without an offset they are UTC
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+/**
+ * Read one value of a column from text
+ * @returns {{ value?: *, message?: string }}
+ */
+const parseValue = (text, column) => {
+  switch (column.kind) {
+    case COLUMN_KIND.INTEGER: {
+      const value = Number(text);
+      if (!/^-?[0-9]+$/.test(text) || !Number.isSafeInteger(value)) {
+        return { message: `value "${text}" for ${column.name} must be an integer` };
+      }
+      const { minimum, maximum } = column;
+      if ((minimum !== undefined && value < minimum) || (maximum !== undefined && value > maximum)) {
+        const range = minimum === undefined ? `at most ${maximum}`
+          : maximum === undefined ? `at least ${minimum}`
+            : `between ${minimum} and ${maximum}`;
+        return { message: `value ${text} for ${column.name} must be ${range}` };
+      }
+      return { value };
+    }
+    case COLUMN_KIND.DATE: {
+      const iso = /T.*(Z|[+-]\d{2}:\d{2})$/.test(text) || !text.includes("T") ? text : `${text}Z`;
+      const value = new Date(iso);
+      if (!DATE_PATTERN.test(text) || Number.isNaN(value.getTime())) {
+        return { message: `value "${text}" for ${column.name} must be a date (YYYY-MM-DD or ISO 8601)` };
+      }
+      return { value };
+    }
+    default:
+      return { value: text };
+  }
+};
+
+const splitList = (text) =>
+  String(text)
+    .split(",")
+    .map((part) => part.trim())
+    .filter((part) => part !== "");
+
+/**
+ * Normalized text of parsed filters: the same conditions give the same text whatever their
+ * order, spacing or spelling of values (2026-01-01 and 2026-01-01T00:00:00Z, 5 and 05)
+ * Dates are written by JSON.stringify as ISO 8601 UTC.
+ */
+const getFilterSignature = (filters) =>
+  filters
+    .map(({ column, operator, values }) => {
+      const texts = values.map((value) => JSON.stringify(value));
+      // IN matches a set, so its values are compared in any order
+      if (operator === FILTER_OPERATOR.IN) texts.sort();
+      return `[${JSON.stringify(column)},${JSON.stringify(operator)},[${texts.join(",")}]]`;
+    })
+    .sort()
+    .join(",");
+
+/**
+ * Parse and check filter, sort and fields against a resource
+ *
+ * Usage Examples:
+ *   parseListQuery({ filter: "REC_QY:gte:5", sort: "-CreatedDate" }, RECORDS_RESOURCE)
+ *   → { filters: [{ column: "REC_QY", operator: "gte", values: [5] }],
+ *       sort: [{ column: "CreatedDate", descending: true }, { column: "RecordID", descending: false }],
+ *       fields: null, signature: "-CreatedDate,RecordID", filterSignature: '["REC_QY","gte",[5]]' }
+ *
+ * `signature` and `filterSignature` identify the order and the result set; a cursor
+ * stores both so it is only accepted by the query it was taken from.
+ *
+ * @param {Object} query - { filter?, sort?, fields? } strings from the query string
+ * @param {Object} resource - { key, columns: { name: { type, kind, nullable?, minimum?, maximum?, operators?, sortable? } }, defaultSort? }
+ * @returns {Object} { filters, sort, fields, signature, filterSignature }
+ * @throws {ApiError} 400 VALIDATION_ERROR listing every problem
+ */
+export const parseListQuery = ({ filter, sort, fields }, resource) => {
+  const errors = [];
+  const fail = (field, message) => errors.push({ location: VALIDATION_LOCATION.QUERY, field, message });
+  const lookup = (name) => (Object.hasOwn(resource.columns, name) ? { name, ...resource.columns[name] } : null);
+
+  const filters = [];
+  for (const condition of filter === undefined ? [] : splitList(filter)) {
+    const [name, operator, ...rest] = condition.split(":");
+    const text = rest.join(":");
+    if (operator === undefined) {
+      fail("filter", `"${condition}" must be column:operator:value`);
+      continue;
+    }
+    const column = lookup(name);
+    if (!column) {
+      fail("filter", `unknown column "${name}"`);
+      continue;
+    }
+    if (!(column.operators ?? []).includes(operator)) {
+      fail("filter", `operator "${operator}" is not allowed for ${name} (allowed: ${(column.operators ?? []).join(", ") || "none"})`);
+      continue;
+    }
+    if (operator === FILTER_OPERATOR.NULL) {
+      if (!["true", "false"].includes(text)) {
+        fail("filter", `value for ${name}:null must be true or false`);
+        continue;
+      }
+      filters.push({ column: name, operator, values: [text === "true"] });
+      continue;
+    }
+
+    const texts = operator === FILTER_OPERATOR.IN ? text.split("|") : [text];
+    if (texts.length > MAX_IN_VALUES) {
+      fail("filter", `${name}:in accepts at most ${MAX_IN_VALUES} values`);
+      continue;
+    }
+    const parsed = texts.map((valueText) => parseValue(valueText, column));
+    const invalid = parsed.filter(({ message }) => message);
+    if (invalid.length > 0) {
+      invalid.forEach(({ message }) => fail("filter", message));
+      continue;
+    }
+    filters.push({ column: name, operator, values: parsed.map(({ value }) => value) });
+  }
+
+  const order = [];
+  for (const term of sort === undefined ? resource.defaultSort ?? [] : splitList(sort)) {
+    const descending = term.startsWith("-");
+    const name = descending ? term.slice(1) : term;
+    const column = lookup(name);
+    if (!column) {
+      fail("sort", `unknown column "${name}"`);
+    } else if (!column.sortable) {
+      fail("sort", `cannot sort by ${name}`);
+    } else if (order.some((entry) => entry.column === name)) {
+      fail("sort", `${name} is listed more than once`);
+    } else {
+      order.push({ column: name, descending });
+    }
+  }
+  if (!order.some((entry) => entry.column === resource.key)) {
+    order.push({ column: resource.key, descending: false });
+  }
+
+  let selected = null;
+  if (fields !== undefined) {
+    selected = splitList(fields);
+    for (const name of selected.filter((field) => !lookup(field))) {
+      fail("fields", `unknown column "${name}"`);
+    }
+    if (selected.length === 0) fail("fields", "must name at least one column");
+  }
+
+  if (errors.length > 0) throw createValidationError(errors);
+
+  return {
+    filters,
+    sort: order,
+    fields: selected,
+    signature: order.map(({ column, descending }) => `${descending ? "-" : ""}${column}`).join(","),
+    filterSignature: getFilterSignature(filters),
+  };
+};
+
+/**
+ * Values of the sort columns of a row, as stored in a cursor
+ * @param {Object} spec - From parseListQuery
+ * @param {Object} row - Row containing every sort column
+ * @returns {Array} JSON-safe values (dates as ISO strings)
+ */
+export const getSortKey = (spec, row) =>
+  spec.sort.map(({ column }) => (row[column] instanceof Date ? row[column].toISOString() : row[column]));
+
+/**
+ * Check and convert sort key values read back from a cursor
+ * @param {Object} spec - From parseListQuery
+ * @param {Array} values - From getSortKey, after a round trip through the cursor
+ * @param {Object} resource - Resource passed to parseListQuery
+ * @returns {Array|null} Values ready to bind, or null if they do not fit the sort columns
+ */
+export const parseSortKey = (spec, values, resource) => {
+  if (!Array.isArray(values) || values.length !== spec.sort.length) return null;
+  const parsed = [];
+  for (const [index, { column: name }] of spec.sort.entries()) {
+    const column = { name, ...resource.columns[name] };
+    const value = values[index];
+    if (value === null) {
+      if (!column.nullable) return null;
+      parsed.push(null);
+      continue;
+    }
+    if (!["string", "number"].includes(typeof value)) return null;
+    const result = parseValue(String(value), column);
+    if (result.message) return null;
+    parsed.push(result.value);
+  }
+  return parsed;
+};
+
+/**
+ * Compile a parsed list query into SQL fragments, binding every value on `request`
+ *
+ * With `after`, only rows after that sort key are selected (keyset pagination).
+ * SQL Server sorts NULL below every value, and the predicate follows that rule:
+ * ascending, rows after NULL are the non-NULL ones; descending, nothing but
+ * other NULLs (resolved by the tie-breaker) comes after NULL.
+ *
+ * @param {Object} spec - From parseListQuery
+ * @param {Object} resource - Resource passed to parseListQuery
+ * @param {mssql.Request} request - Request the parameters are added to
+ * @param {Object} options
+ * @param {Array|null} options.after - Sort key (from parseSortKey) to continue after
+ * @param {boolean} options.backwards - Walk the order in reverse (for previous pages)
+ * @returns {{ columns: string, where: string, orderBy: string }} "[A], [B]", "WHERE ..." or "", "ORDER BY ..."
+ */
+export const compileListQuery = (spec, resource, request, { after = null, backwards = false } = {}) => {
+  let parameterCount = 0;
+  const bind = (name, value) => {
+    const parameter = `p${parameterCount++}`;
+    request.input(parameter, resource.columns[name].type, value);
+    return `@${parameter}`;
+  };
+
+  const conditions = spec.filters.map(({ column, operator, values }) => {
+    if (operator === FILTER_OPERATOR.NULL) {
+      return `[${column}] IS ${values[0] ? "" : "NOT "}NULL`;
+    }
+    if (operator === FILTER_OPERATOR.IN) {
+      return `[${column}] IN (${values.map((value) => bind(column, value)).join(", ")})`;
+    }
+    return `[${column}] ${COMPARISONS[operator]} ${bind(column, values[0])}`;
+  });
+
+  const order = spec.sort.map(({ column, descending }) => ({ column, descending: descending !== backwards }));
+
+  if (after) {
+    // (a after) OR (a = AND b after) OR (a = AND b = AND c after) ...
+    const branches = [];
+    const equalities = [];
+    order.forEach(({ column, descending }, index) => {
+      const value = after[index];
+      const parameter = value === null ? null : bind(column, value);
+      let afterCondition = null;
+      if (value === null) {
+        afterCondition = descending ? null : `[${column}] IS NOT NULL`;
+      } else if (descending) {
+        afterCondition = resource.columns[column].nullable
+          ? `([${column}] < ${parameter} OR [${column}] IS NULL)`
+          : `[${column}] < ${parameter}`;
+      } else {
+        afterCondition = `[${column}] > ${parameter}`;
+      }
+      if (afterCondition) branches.push([...equalities, afterCondition].join(" AND "));
+      equalities.push(value === null ? `[${column}] IS NULL` : `[${column}] = ${parameter}`);
+    });
+    conditions.push(branches.length > 0 ? `(${branches.map((branch) => `(${branch})`).join(" OR ")})` : "1 = 0");
+  }
+
+  const selected = new Set([...(spec.fields ?? Object.keys(resource.columns)), ...spec.sort.map(({ column }) => column)]);
+  return {
+    columns: Object.keys(resource.columns)
+      .filter((name) => selected.has(name))
+      .map((name) => `[${name}]`)
+      .join(", "),
+    where: conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "",
+    orderBy: `ORDER BY ${order.map(({ column, descending }) => `[${column}] ${descending ? "DESC" : "ASC"}`).join(", ")}`,
+  };
+};
+
+/**
+ * Drop the columns a client did not ask for (sort columns are always selected for cursors)
+ * @param {Object} spec - From parseListQuery
+ * @param {Object[]} rows - Page rows; a `columns` property is kept
+ * @returns {Object[]}
+ */
+export const selectFields = (spec, rows) => {
+  if (!spec.fields) return rows;
+  const picked = rows.map((row) => Object.fromEntries(spec.fields.map((field) => [field, row[field]])));
+  return Object.assign(picked, { columns: rows.columns });
+};
@@ -31,5 +31,17 @@ const logger = winston.createLogger({
   ]
 });
 
+// Slow query entries go to their own file in every environment so they can be
+// analysed without the noise of app.log (see src/services/slowQueryLog.js)
+export const slowQueryLogger = winston.createLogger({
+  level: 'warn',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(logDir, 'slow-query.log') })
+  ]
+});
 
 export default logger;
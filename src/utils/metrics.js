@@ -0,0 +1,238 @@
+// src/utils/metrics.js
+// Minimal Prometheus text exposition (format 0.0.4) with no external dependencies
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Registered metrics in exposition order, and callbacks run before each scrape
+const metrics = [];
+const collectors = [];
+
+const escapeLabelValue = (value) =>
+  String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(",")}}`;
+};
+
+// Series are keyed by their label values in labelNames order
+const seriesKey = (labelNames, labels) => labelNames.map((name) => labels[name] ?? "").join("\u0000");
+
+const pickLabels = (labelNames, labels) =>
+  Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? ""]));
+
+/**
+ * Create a monotonically increasing counter
+ * @param {Object} options
+ * @param {string} options.name - Metric name
+ * @param {string} options.help - HELP text
+ * @param {string[]} options.labelNames - Allowed label names
+ * @returns {{inc: Function}} Counter interface
+ */
+export const createCounter = ({ name, help, labelNames = [] }) => {
+  const series = new Map();
+  metrics.push({
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} counter`,
+      ...[...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+    ],
+  });
+  return {
+    inc: (labels = {}, amount = 1) => {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) ?? { labels: pickLabels(labelNames, labels), value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+  };
+};
+
+/**
+ * Create a gauge that can go up and down
+ * `reset()` drops every series, useful for collectors that rebuild values per scrape
+ * @param {Object} options
+ * @param {string} options.name - Metric name
+ * @param {string} options.help - HELP text
+ * @param {string[]} options.labelNames - Allowed label names
+ * @returns {{set: Function, reset: Function}} Gauge interface
+ */
+export const createGauge = ({ name, help, labelNames = [] }) => {
+  const series = new Map();
+  metrics.push({
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} gauge`,
+      ...[...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+    ],
+  });
+  return {
+    set: (labels = {}, value = 0) => {
+      series.set(seriesKey(labelNames, labels), { labels: pickLabels(labelNames, labels), value });
+    },
+    reset: () => series.clear(),
+  };
+};
+
+/**
+ * Create a histogram with cumulative buckets
+ * @param {Object} options
+ * @param {string} options.name - Metric name
+ * @param {string} options.help - HELP text
+ * @param {string[]} options.labelNames - Allowed label names
+ * @param {number[]} options.buckets - Upper bounds in ascending order
+ * @returns {{observe: Function, startTimer: Function}} Histogram interface
+ */
+export const createHistogram = ({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) => {
+  const series = new Map();
+  metrics.push({
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} histogram`,
+      ...[...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map(
+          (bound, i) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`
+        ),
+        `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`,
+      ]),
+    ],
+  });
+
+  const observe = (labels = {}, value = 0) => {
+    const key = seriesKey(labelNames, labels);
+    const entry = series.get(key) ?? {
+      labels: pickLabels(labelNames, labels),
+      counts: buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    };
+    buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+    series.set(key, entry);
+  };
+
+  return {
+    observe,
+    /**
+     * Start timing; the returned function records elapsed seconds
+     * CLOSURE: captures the start time and initial labels
+     * @param {Object} labels - Labels known at start
+     * @returns {Function} end(extraLabels) - Records the observation
+     */
+    startTimer: (labels = {}) => {
+      const start = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    },
+  };
+};
+
+/**
+ * Register a callback that refreshes gauges right before each scrape
+ * @param {Function} collector - Sync or async function
+ */
+export const registerCollector = (collector) => {
+  collectors.push(collector);
+};
+
+/**
+ * Render every registered metric in Prometheus text format
+ * @returns {Promise<string>} Exposition text
+ */
+export const renderMetrics = async () => {
+  for (const collector of collectors) {
+    await collector();
+  }
+  return `${metrics.flatMap((metric) => metric.render()).join("\n")}\n`;
+};
+
+// ============================================================================
+// Application Metrics
+// ============================================================================
+
+export const dbQueryDuration = createHistogram({
+  name: "db_query_duration_seconds",
+  help: "executeQuery and streamQuery duration in seconds",
+  labelNames: ["operation", "outcome"],
+});
+
+export const streamRowsSent = createCounter({
+  name: "stream_rows_sent_total",
+  help: "Rows written to streaming responses",
+  labelNames: ["operation"],
+});
+
+export const streamBackpressurePauses = createCounter({
+  name: "stream_backpressure_pauses_total",
+  help: "Times a streaming query was paused because the client could not keep up",
+  labelNames: ["operation"],
+});
+
+export const streamBackpressureWait = createHistogram({
+  name: "stream_backpressure_wait_seconds",
+  help: "Time a streaming query spent paused waiting for the response to drain",
+  labelNames: ["operation"],
+});
+
+export const streamBufferOverflows = createCounter({
+  name: "stream_buffer_overflows_total",
+  help: "Streams aborted because buffered response bytes exceeded the cap",
+  labelNames: ["operation"],
+});
+
+export const poolResets = createCounter({
+  name: "db_pool_resets_total",
+  help: "Connection pool resets after fatal or connection errors",
+  labelNames: ["pool"],
+});
+
+export const httpRequestDuration = createHistogram({
+  name: "http_request_duration_seconds",
+  help: "HTTP request latency in seconds",
+  labelNames: ["method", "route", "status"],
+});
+
+/**
+ * Router middleware recording the mount path of the router a request entered last
+ *
+ * Every router that defines routes installs it first (router.use(recordRouteBase)).
+ * req.baseUrl is only the router's mount path while the request is inside it;
+ * after next(err) or a fall-through it reverts to a parent's, so httpMetricsMiddleware
+ * reads the saved value instead.
+ */
+export const recordRouteBase = (req, res, next) => {
+  res.locals.routeBase = req.baseUrl;
+  next();
+};
+
+/**
+ * Route label for a finished request: mount path plus matched route path, without a trailing slash
+ * Unmatched requests are grouped under "unmatched" to keep label cardinality bounded
+ */
+const getRouteLabel = (req, res) => {
+  if (!req.route) return "unmatched";
+  const label = `${res.locals.routeBase ?? req.baseUrl}${req.route.path}`;
+  return label.replace(/\/+$/, "") || "/";
+};
+
+/**
+ * Express middleware recording request latency by matched route
+ */
+export const httpMetricsMiddleware = (req, res, next) => {
+  const end = httpRequestDuration.startTimer({ method: req.method });
+  res.on("finish", () => {
+    end({ route: getRouteLabel(req, res), status: res.statusCode });
+  });
+  next();
+};
@@ -0,0 +1,232 @@
+import { ApiError } from "./errorHandler.js";
+
+/**
+ * Declarative request validation
+ *
+ * Routes describe their params, query and body with a small subset of JSON Schema
+ * (the same vocabulary columnSchema.js produces), and validate() checks them
+ * before the controller runs:
+ *
+ *   recordsRouter.patch("/:id", validate({
+ *     params: { properties: { id: { type: "integer", minimum: 1 } }, required: ["id"] },
+ *     body: { properties: { REC_QY: { type: ["integer", "null"] } }, additionalProperties: false, minProperties: 1 },
+ *   }), updateRecord);
+ *
+ * Object schemas (one per location):
+ * - properties: field name -> field schema
+ * - required: fields that must be present
+ * - additionalProperties: false rejects fields not listed (default: allowed and passed through)
+ * - minProperties: least number of listed fields that must be present
+ *
+ * Field schemas:
+ * - type: "integer" | "number" | "string" | "boolean", or an array adding "null"
+ * - minimum / maximum, minLength / maxLength, pattern, enum
+ * - default: used when the field is absent
+ * Bounds may be functions, evaluated per request, for limits read from the environment.
+ *
+ * Params and query strings are coerced to the declared type ("25" → 25,
+ * "true" → true); JSON bodies are already typed and are not coerced.
+ *
+ * Every failing field is reported, not just the first, as a 400 VALIDATION_ERROR
+ * whose details list { location, field, message }. Validated values are stored
+ * on req.validated.{params,query,body}; req.query cannot be replaced in Express 5.
+ */
+
+export const VALIDATION_LOCATION = Object.freeze({
+  PARAMS: "params",
+  QUERY: "query",
+  BODY: "body",
+});
+
+// Locations whose values arrive as strings and are coerced to the declared type
+const COERCED_LOCATIONS = new Set([VALIDATION_LOCATION.PARAMS, VALIDATION_LOCATION.QUERY]);
+
+const resolve = (bound) => (typeof bound === "function" ? bound() : bound);
+
+const typesOf = (schema) => (Array.isArray(schema.type) ? schema.type : [schema.type ?? "string"]);
+
+const describeTypes = (types) =>
+  types
+    .map((type) => (type === "integer" ? "an integer" : type === "null" ? "null" : `a ${type}`))
+    .join(" or ");
+
+/**
+ * Convert a string from the URL to the declared type
+ * @returns {*} The converted value, or undefined if the string does not represent that type
+ */
+const coerceString = (value, type) => {
+  switch (type) {
+    case "integer":
+      return /^-?[0-9]+$/.test(value) && Number.isSafeInteger(Number(value)) ? Number(value) : undefined;
+    case "number":
+      return value.trim() !== "" && Number.isFinite(Number(value)) ? Number(value) : undefined;
+    case "boolean":
+      if (["true", "1"].includes(value.toLowerCase())) return true;
+      if (["false", "0"].includes(value.toLowerCase())) return false;
+      return undefined;
+    case "null":
+      return value === "" || value === "null" ? null : undefined;
+    default:
+      return value;
+  }
+};
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "null":
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+};
+
+/**
+ * Check one field against its schema
+ * @returns {{ value: *, message: string|null }} The (coerced) value, and why it is invalid if it is
+ */
+const checkField = (raw, schema, coerce) => {
+  const types = typesOf(schema);
+  let value = raw;
+
+  if (coerce) {
+    if (typeof raw !== "string") {
+      return { value, message: "must be a single value" };
+    }
+    // Try the types in order; "string" accepts anything, so it goes last
+    value = undefined;
+    for (const type of [...types].sort((a, b) => (a === "string") - (b === "string"))) {
+      value = coerceString(raw, type);
+      if (value !== undefined) break;
+    }
+    if (value === undefined) return { value: raw, message: `must be ${describeTypes(types)}` };
+  } else if (!types.some((type) => matchesType(value, type))) {
+    return { value, message: `must be ${describeTypes(types)}` };
+  }
+
+  if (value === null) return { value, message: null };
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return { value, message: `must be one of: ${schema.enum.join(", ")}` };
+  }
+  if (typeof value === "number") {
+    const minimum = resolve(schema.minimum);
+    const maximum = resolve(schema.maximum);
+    if ((minimum !== undefined && value < minimum) || (maximum !== undefined && value > maximum)) {
+      if (minimum !== undefined && maximum !== undefined) {
+        return { value, message: `must be between ${minimum} and ${maximum}` };
+      }
+      return { value, message: minimum !== undefined ? `must be at least ${minimum}` : `must be at most ${maximum}` };
+    }
+  }
+  if (typeof value === "string") {
+    const minLength = resolve(schema.minLength);
+    const maxLength = resolve(schema.maxLength);
+    if (minLength !== undefined && value.length < minLength) {
+      return { value, message: `must be at least ${minLength} characters` };
+    }
+    if (maxLength !== undefined && value.length > maxLength) {
+      return { value, message: `must be at most ${maxLength} characters` };
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return { value, message: `must match ${schema.pattern}` };
+    }
+  }
+  return { value, message: null };
+};
+
+/**
+ * Validate one location of the request against its object schema
+ *
+ * @param {*} input - req.params, req.query or req.body
+ * @param {Object} schema - Object schema for the location
+ * @param {string} location - One of VALIDATION_LOCATION
+ * @param {Object[]} errors - Collects { location, field, message } for every failure
+ * @param {boolean} coerce - Convert string values to the declared types (default: for params and query)
+ * @returns {Object} Validated values, coerced and with defaults applied
+ */
+export const validateLocation = (input, schema, location, errors, coerce = COERCED_LOCATIONS.has(location)) => {
+  if (input === undefined || input === null || typeof input !== "object" || Array.isArray(input)) {
+    errors.push({ location, field: null, message: "must be a JSON object" });
+    return {};
+  }
+
+  const properties = schema.properties ?? {};
+  const required = schema.required ?? [];
+  const values = schema.additionalProperties === false ? {} : { ...input };
+
+  if (schema.additionalProperties === false) {
+    for (const field of Object.keys(input)) {
+      if (!Object.hasOwn(properties, field)) {
+        errors.push({ location, field, message: "is not allowed" });
+      }
+    }
+  }
+
+  let present = 0;
+  for (const [field, fieldSchema] of Object.entries(properties)) {
+    if (input[field] === undefined) {
+      if (required.includes(field)) {
+        errors.push({ location, field, message: "is required" });
+      } else if (fieldSchema.default !== undefined) {
+        values[field] = resolve(fieldSchema.default);
+      }
+      continue;
+    }
+    present++;
+    const { value, message } = checkField(input[field], fieldSchema, coerce);
+    if (message) {
+      errors.push({ location, field, message });
+    } else {
+      values[field] = value;
+    }
+  }
+
+  if (schema.minProperties !== undefined && present < schema.minProperties) {
+    errors.push({
+      location,
+      field: null,
+      message: `must set at least ${schema.minProperties} of: ${Object.keys(properties).join(", ")}`,
+    });
+  }
+  return values;
+};
+
+/**
+ * Build the 400 VALIDATION_ERROR for a list of failures
+ * @param {Object[]} errors - { location, field, message } entries
+ * @returns {ApiError}
+ */
+export const createValidationError = (errors) => {
+  const summary = errors.map(({ location, field, message }) => `${field ?? location} ${message}`).join("; ");
+  return new ApiError(400, "VALIDATION_ERROR", `Invalid request: ${summary}`, errors);
+};
+
+/**
+ * Express middleware validating params, query and body
+ *
+ * CLOSURE: the schemas are captured once per route; bounds given as functions
+ * are evaluated on every request.
+ *
+ * @param {Object} schemas - { params?, query?, body? } object schemas
+ * @returns {Function} Express middleware; passes an ApiError(400, "VALIDATION_ERROR") to next on failure
+ */
+export const validate = (schemas) => (req, _res, next) => {
+  const errors = [];
+  const validated = {};
+  for (const location of Object.values(VALIDATION_LOCATION)) {
+    if (schemas[location]) {
+      validated[location] = validateLocation(req[location], schemas[location], location, errors);
+    }
+  }
+
+  if (errors.length > 0) {
+    return next(createValidationError(errors));
+  }
+
+  req.validated = { ...req.validated, ...validated };
+  next();
+};
@@ -0,0 +1,125 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { buildDbConfig, DatabaseConfigError } from "../../src/services/databaseConfig.js";
+
+// Builds a config from the given DB_-less keys, e.g. { CONNECTION_STRING: "..." }
+const build = (values, options = {}) =>
+  buildDbConfig({ readEnv: (key) => values[key], prefix: "DB_", ...options });
+
+// Issues reported for the given keys, or [] when the config is valid
+const issues = (values) => {
+  try {
+    build(values);
+    return [];
+  } catch (error) {
+    assert.ok(error instanceof DatabaseConfigError);
+    return error.issues;
+  }
+};
+
+const BASE = "Server=db.example.com;Database=app";
+
+describe("buildDbConfig connection string fallbacks", () => {
+  it("uses SQL logins from the connection string", () => {
+    const config = build({ CONNECTION_STRING: `${BASE};User Id=app;Password=secret` });
+    assert.deepEqual(config.authentication, { type: "default", options: { userName: "app", password: "secret" } });
+    assert.equal(config.server, "db.example.com");
+    assert.equal(config.database, "app");
+  });
+
+  it("selects NTLM from Authentication= and reads the domain from User Id", () => {
+    const config = build({ CONNECTION_STRING: `${BASE};Authentication=NTLM;User Id=CORP\\app;Password=secret` });
+    assert.deepEqual(config.authentication, {
+      type: "ntlm",
+      options: { userName: "app", password: "secret", domain: "CORP" },
+    });
+  });
+
+  it("selects a service principal without DB_USER", () => {
+    const config = build({
+      CONNECTION_STRING: `${BASE};Authentication=Active Directory Service Principal;User Id=app-id;Password=app-secret;Tenant Id=tenant`,
+    });
+    assert.deepEqual(config.authentication, {
+      type: "azure-active-directory-service-principal-secret",
+      options: { clientId: "app-id", clientSecret: "app-secret", tenantId: "tenant" },
+    });
+  });
+
+  it("understands mssql's Active Directory Integrated form", () => {
+    const config = build({
+      CONNECTION_STRING: `${BASE};Authentication=Active Directory Integrated;Client Id=id;Client Secret=s;Tenant Id=t`,
+    });
+    assert.equal(config.authentication.type, "azure-active-directory-service-principal-secret");
+    assert.deepEqual(config.authentication.options, { clientId: "id", clientSecret: "s", tenantId: "t" });
+
+    const token = build({ CONNECTION_STRING: `${BASE};Authentication=Active Directory Integrated;Token=abc` });
+    assert.deepEqual(token.authentication, { type: "azure-active-directory-access-token", options: { token: "abc" } });
+  });
+
+  it("selects a managed identity, with User Id as the client id", () => {
+    assert.deepEqual(build({ CONNECTION_STRING: `${BASE};Authentication=ActiveDirectoryManagedIdentity` }).authentication, {
+      type: "azure-active-directory-msi-vm",
+      options: {},
+    });
+    assert.deepEqual(
+      build({ CONNECTION_STRING: `${BASE};Authentication=ActiveDirectoryMSI;User Id=identity` }).authentication.options,
+      { clientId: "identity" }
+    );
+  });
+
+  it("lets AUTH_TYPE and credential variables override the connection string", () => {
+    const config = build({
+      CONNECTION_STRING: `${BASE};Authentication=ActiveDirectoryPassword;User Id=a;Password=b`,
+      AUTH_TYPE: "sql",
+      USER: "override",
+    });
+    assert.deepEqual(config.authentication.options, { userName: "override", password: "b" });
+  });
+
+  it("reports an unsupported Authentication= value", () => {
+    assert.deepEqual(issues({ CONNECTION_STRING: `${BASE};Authentication=ActiveDirectoryInteractive` }), [
+      "DB_CONNECTION_STRING: Authentication=ActiveDirectoryInteractive is not supported; set AUTH_TYPE instead",
+      "DB_USER: is required",
+      "DB_PASSWORD: is required",
+    ]);
+  });
+
+  it("reads ApplicationIntent=ReadOnly in any case", () => {
+    const login = ";User Id=app;Password=secret";
+    assert.equal(build({ CONNECTION_STRING: `${BASE}${login};ApplicationIntent=ReadOnly` }).options.readOnlyIntent, true);
+    assert.equal(build({ CONNECTION_STRING: `${BASE}${login};ApplicationIntent=ReadWrite` }).options.readOnlyIntent, false);
+    assert.equal(build({ CONNECTION_STRING: `${BASE}${login}` }).options.readOnlyIntent, false);
+    assert.equal(
+      build({ CONNECTION_STRING: `${BASE}${login};ApplicationIntent=ReadOnly`, READ_ONLY_INTENT: "false" }).options.readOnlyIntent,
+      false
+    );
+  });
+
+  it("keeps replicas read-only whatever the shared connection string says", () => {
+    const config = build({ CONNECTION_STRING: `${BASE};User Id=app;Password=secret;ApplicationIntent=ReadWrite` }, {
+      readOnlyIntent: true,
+    });
+    assert.equal(config.options.readOnlyIntent, true);
+  });
+
+  it("reads Cancel Timeout and Pool Acquire Timeout, with variables overriding them", () => {
+    const CONNECTION_STRING = `${BASE};User Id=app;Password=secret;Cancel Timeout=7000;Pool Acquire Timeout=9000`;
+    const config = build({ CONNECTION_STRING });
+    assert.equal(config.options.cancelTimeout, 7000);
+    assert.equal(config.pool.acquireTimeoutMillis, 9000);
+
+    const overridden = build({ CONNECTION_STRING, CANCEL_TIMEOUT: "1000", POOL_ACQUIRE_TIMEOUT: "2000" });
+    assert.equal(overridden.options.cancelTimeout, 1000);
+    assert.equal(overridden.pool.acquireTimeoutMillis, 2000);
+
+    const defaults = build({ CONNECTION_STRING: `${BASE};User Id=app;Password=secret` });
+    assert.equal(defaults.options.cancelTimeout, 5000);
+    assert.equal(defaults.pool.acquireTimeoutMillis, 30000);
+  });
+
+  it("reports an invalid timeout in the connection string", () => {
+    assert.deepEqual(issues({ CONNECTION_STRING: `${BASE};User Id=app;Password=secret;Cancel Timeout=soon` }), [
+      "DB_CONNECTION_STRING: cancel timeout must be a non-negative integer",
+    ]);
+  });
+});
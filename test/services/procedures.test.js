@@ -0,0 +1,149 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import mssql from "mssql";
+import { QUERY_INTENT } from "../../src/services/database.js";
+import { getProcedure, parseProcedureInputs, registerProcedure } from "../../src/services/procedures.js";
+
+// Registers a contract under a unique name and returns it
+let registered = 0;
+const register = (inputs, outputs = {}) => {
+  const name = `testProcedure${++registered}`;
+  registerProcedure(name, { procedure: "dbo.usp_Test", inputs, outputs });
+  return getProcedure(name);
+};
+
+// Messages of the VALIDATION_ERROR thrown by parseProcedureInputs, or [] when it succeeds
+const failures = (contract, body) => {
+  try {
+    parseProcedureInputs(contract, body);
+    return [];
+  } catch (error) {
+    assert.equal(error.code, "VALIDATION_ERROR");
+    assert.equal(error.statusCode, 400);
+    return error.details.map(({ field, message }) => `${field ?? "body"} ${message}`);
+  }
+};
+
+describe("registerProcedure", () => {
+  it("rejects invalid public and SQL names", () => {
+    assert.throws(() => registerProcedure("bad-name", { procedure: "dbo.usp_Test" }), /Invalid procedure name/);
+    for (const procedure of [undefined, "dbo.usp_Test; DROP TABLE x", "a.b.c", "[dbo].usp Test"]) {
+      assert.throws(() => registerProcedure("valid", { procedure }), /Invalid SQL procedure name/, String(procedure));
+    }
+    assert.equal(getProcedure("valid"), null);
+  });
+
+  it("accepts bracketed and bare SQL names", () => {
+    registerProcedure("bracketed", { procedure: "[dbo].[usp_Test]" });
+    registerProcedure("bare", { procedure: "usp_Test" });
+    assert.equal(getProcedure("bracketed").procedure, "[dbo].[usp_Test]");
+    assert.equal(getProcedure("bare").procedure, "usp_Test");
+  });
+
+  it("rejects parameters without a valid name or mssql type", () => {
+    assert.throws(() => register({ "Min Qty": { type: mssql.Int } }), /Invalid parameter Min Qty/);
+    assert.throws(() => register({ MinQty: {} }), /Invalid parameter MinQty/);
+    assert.throws(() => register({}, { Count: { type: "int" } }), /Invalid parameter Count/);
+  });
+
+  it("rejects a parameter declared as both input and output", () => {
+    assert.throws(() => register({ Qty: { type: mssql.Int } }, { Qty: { type: mssql.Int } }), /both input and output/);
+  });
+
+  it("rejects an input type it cannot validate unless a schema is given", () => {
+    assert.throws(() => register({ Shape: { type: mssql.Geography } }), /No input schema for SQL type "geography"/);
+    const contract = register({ Shape: { type: mssql.Geography, schema: { type: "string" } } });
+    assert.deepEqual(contract.schema.properties.Shape, { type: "string" });
+  });
+
+  it("defaults to a non-retried write and freezes the contract", () => {
+    const contract = register({});
+    assert.equal(contract.intent, QUERY_INTENT.WRITE);
+    assert.equal(contract.retry, false);
+    assert.ok(Object.isFrozen(contract));
+  });
+
+  it("derives the body schema from the mssql types", () => {
+    const contract = register({
+      Small: { type: mssql.TinyInt, required: true },
+      Count: { type: mssql.Int, nullable: true },
+      Big: { type: mssql.BigInt },
+      Flag: { type: mssql.Bit },
+      Price: { type: mssql.Decimal(10, 2) },
+      Name: { type: mssql.NVarChar(50) },
+      Code: { type: mssql.VarChar(8) },
+      Notes: { type: mssql.NVarChar(mssql.MAX) },
+    });
+    const { properties, required, additionalProperties } = contract.schema;
+    assert.deepEqual(properties.Small, { type: "integer", minimum: 0, maximum: 255 });
+    assert.deepEqual(properties.Count, { type: ["integer", "null"], minimum: -2147483648, maximum: 2147483647 });
+    assert.deepEqual(properties.Big.type, ["integer", "string"]);
+    assert.deepEqual(properties.Flag, { type: "boolean" });
+    assert.deepEqual(properties.Price, { type: "number" });
+    assert.deepEqual(properties.Name, { type: "string", maxLength: 50 });
+    assert.deepEqual(properties.Code, { type: "string", maxLength: 8 });
+    assert.deepEqual(properties.Notes, { type: "string" });
+    assert.deepEqual(required, ["Small"]);
+    assert.equal(additionalProperties, false);
+  });
+});
+
+describe("getProcedure", () => {
+  it("returns the registered contracts and null for anything else", () => {
+    assert.equal(getProcedure("recordQuantityStats").procedure, "dbo.usp_RecordQuantityStats");
+    assert.equal(getProcedure("recordQuantityStats").intent, QUERY_INTENT.READ);
+    for (const name of ["missing", "__proto__", "constructor", "toString"]) {
+      assert.equal(getProcedure(name), null, name);
+    }
+  });
+});
+
+describe("parseProcedureInputs", () => {
+  const contract = register({
+    MinQty: { type: mssql.Int, required: true },
+    Since: { type: mssql.DateTime, nullable: true },
+    Name: { type: mssql.NVarChar(10) },
+  });
+
+  it("returns the given inputs and leaves omitted optional ones absent", () => {
+    assert.deepEqual(parseProcedureInputs(contract, { MinQty: 5 }), { MinQty: 5 });
+    assert.deepEqual(parseProcedureInputs(contract, { MinQty: 5, Since: null, Name: "x" }), {
+      MinQty: 5,
+      Since: null,
+      Name: "x",
+    });
+  });
+
+  it("reads dates without an offset as UTC", () => {
+    const parse = (Since) => parseProcedureInputs(contract, { MinQty: 0, Since }).Since.toISOString();
+    assert.equal(parse("2026-01-15"), "2026-01-15T00:00:00.000Z");
+    assert.equal(parse("2026-01-15T10:30"), "2026-01-15T10:30:00.000Z");
+    assert.equal(parse("2026-01-15T10:30:00.5"), "2026-01-15T10:30:00.500Z");
+    assert.equal(parse("2026-01-15T10:30:00+02:00"), "2026-01-15T08:30:00.000Z");
+    assert.equal(parse("2026-01-15T10:30:00Z"), "2026-01-15T10:30:00.000Z");
+  });
+
+  it("rejects dates that match the pattern but do not exist", () => {
+    assert.deepEqual(failures(contract, { MinQty: 0, Since: "2026-13-45" }), [
+      "Since must be a valid date (YYYY-MM-DD or ISO 8601)",
+    ]);
+    assert.deepEqual(failures(contract, { MinQty: 0, Since: "2026-01-15T25:00" }), [
+      "Since must be a valid date (YYYY-MM-DD or ISO 8601)",
+    ]);
+  });
+
+  it("reports every problem in one VALIDATION_ERROR", () => {
+    assert.deepEqual(failures(contract, { Since: "yesterday", Name: "x".repeat(11), Extra: 1 }), [
+      "Extra is not allowed",
+      "MinQty is required",
+      "Since must match ^\\d{4}-\\d{2}-\\d{2}(T\\d{2}:\\d{2}(:\\d{2}(\\.\\d{1,7})?)?(Z|[+-]\\d{2}:\\d{2})?)?$",
+      "Name must be at most 10 characters",
+    ]);
+    assert.deepEqual(failures(contract, { MinQty: 2147483648 }), ["MinQty must be between -2147483648 and 2147483647"]);
+  });
+
+  it("treats a missing body as empty and rejects a non-object body", () => {
+    assert.deepEqual(failures(contract, undefined), ["MinQty is required"]);
+    assert.deepEqual(failures(contract, [1]), ["body must be a JSON object"]);
+  });
+});
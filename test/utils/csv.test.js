@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { escapeCSVField, formatCSVRecord, formatCSVValue, parseCSVRecords } from "../../src/utils/csv.js";
+
+// Yields the text in the given chunks, as a request with setEncoding("utf8") would
+const chunked = async function* (chunks) {
+  yield* chunks;
+};
+
+const parse = async (chunks, options) => {
+  const records = [];
+  for await (const record of parseCSVRecords(chunked(chunks), options)) records.push(record);
+  return records;
+};
+
+describe("parseCSVRecords", () => {
+  it("parses quoted fields, doubled quotes and CRLF or LF line endings", async () => {
+    assert.deepEqual(await parse(['a,"b ""c""",d\r\n1,,"x,y"\n']), [
+      { fields: ["a", 'b "c"', "d"], line: 1 },
+      { fields: ["1", "", "x,y"], line: 2 },
+    ]);
+  });
+
+  it("keeps line breaks inside quotes and reports the line a record starts on", async () => {
+    assert.deepEqual(await parse(['id,note\n1,"two\nlines"\n2,after\n']), [
+      { fields: ["id", "note"], line: 1 },
+      { fields: ["1", "two\nlines"], line: 2 },
+      { fields: ["2", "after"], line: 4 },
+    ]);
+  });
+
+  it("yields the last record without a trailing newline", async () => {
+    assert.deepEqual(await parse(["a,b\n1,2"]), [
+      { fields: ["a", "b"], line: 1 },
+      { fields: ["1", "2"], line: 2 },
+    ]);
+  });
+
+  it("gives the same records however the input is split into chunks", async () => {
+    const text = 'id,"note ""q"""\r\n1,"a,\r\nb"\r\n2,\r\n';
+    const expected = await parse([text]);
+    for (let split = 1; split < text.length; split++) {
+      assert.deepEqual(await parse([text.slice(0, split), text.slice(split)]), expected, `split at ${split}`);
+    }
+    assert.deepEqual(await parse([...text]), expected);
+  });
+
+  it("reports a record cut off by an unterminated quote", async () => {
+    assert.deepEqual(await parse(['a\n"open,1\n2']), [
+      { fields: ["a"], line: 1 },
+      { fields: ["open,1\n2"], line: 2, error: "has an unterminated quoted field" },
+    ]);
+  });
+
+  it("stops at a record longer than maxRecordLength", async () => {
+    const records = await parse(["ab,c\n", '"unterminated', "x".repeat(100), "\nmore\n"], { maxRecordLength: 10 });
+    assert.deepEqual(records, [
+      { fields: ["ab", "c"], line: 1 },
+      { fields: [], line: 2, error: "is longer than 10 characters", tooLong: true },
+    ]);
+  });
+
+  it("counts the length per record, separators included", async () => {
+    assert.deepEqual(await parse(["abc,defg\n12345678\n"], { maxRecordLength: 9 }), [
+      { fields: ["abc", "defg"], line: 1 },
+      { fields: ["12345678"], line: 2 },
+    ]);
+    assert.equal((await parse(["abc,defgh\n"], { maxRecordLength: 9 }))[0].tooLong, true);
+  });
+
+  it("stops reading the source once a record is too long", async () => {
+    let pulled = 0;
+    const source = async function* () {
+      for (;;) {
+        pulled++;
+        yield "x".repeat(10);
+      }
+    };
+    const records = [];
+    for await (const record of parseCSVRecords(source(), { maxRecordLength: 25 })) records.push(record);
+    assert.equal(records.length, 1);
+    assert.equal(records[0].tooLong, true);
+    assert.equal(pulled, 3);
+  });
+});
+
+describe("formatCSVRecord", () => {
+  it("quotes fields that need it and ends with CRLF", () => {
+    assert.equal(escapeCSVField("plain"), "plain");
+    assert.equal(escapeCSVField('say "hi"'), '"say ""hi"""');
+    assert.equal(formatCSVRecord([1, "a,b", null, "x\ny"]), '1,"a,b",,"x\ny"\r\n');
+  });
+
+  it("formats dates, binary values and objects", () => {
+    assert.equal(formatCSVValue(new Date("2026-01-02T03:04:05Z")), "2026-01-02T03:04:05.000Z");
+    assert.equal(formatCSVValue(new Date(NaN)), "");
+    assert.equal(formatCSVValue(Buffer.from([1, 171])), "0x01AB");
+    assert.equal(formatCSVValue({ a: 1 }), '{"a":1}');
+    assert.equal(formatCSVValue(undefined), "");
+  });
+
+  it("round-trips through parseCSVRecords", async () => {
+    const values = ["plain", 'quote "x"', "comma,here", "line\r\nbreak", ""];
+    assert.deepEqual(await parse([formatCSVRecord(values)]), [{ fields: values, line: 1 }]);
+  });
+});
@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { beforeEach, describe, it } from "node:test";
+import { decodeCursor, encodeCursor } from "../../src/utils/cursor.js";
+
+// Re-signs a body the way encodeCursor does, for cursors a client could build
+const signWith = (secret, payload) => {
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  const signature = crypto.createHmac("sha256", secret).update(body).digest("base64url");
+  return `${body}.${signature}`;
+};
+
+describe("cursor", () => {
+  beforeEach(() => {
+    process.env.CURSOR_SECRET = "test-secret";
+  });
+
+  it("round-trips a payload", () => {
+    const payload = { direction: "next", sort: "-CreatedDate,RecordID", key: ["2026-01-01T00:00:00.000Z", 42] };
+    assert.deepEqual(decodeCursor(encodeCursor(payload)), payload);
+  });
+
+  it("is opaque and safe in a query string", () => {
+    assert.match(encodeCursor({ key: 1 }), /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+  });
+
+  it("rejects a cursor whose payload was changed", () => {
+    const [, signature] = encodeCursor({ direction: "next", key: 1 }).split(".");
+    const forged = Buffer.from(JSON.stringify({ v: 1, direction: "next", key: 999 })).toString("base64url");
+    assert.equal(decodeCursor(`${forged}.${signature}`), null);
+  });
+
+  it("rejects a cursor whose signature was changed", () => {
+    const [body, signature] = encodeCursor({ key: 1 }).split(".");
+    const flipped = Buffer.from(signature, "base64url");
+    flipped[0] ^= 1;
+    assert.equal(decodeCursor(`${body}.${flipped.toString("base64url")}`), null);
+    assert.equal(decodeCursor(`${body}.${signature.slice(0, -2)}`), null);
+  });
+
+  it("rejects a cursor signed with another secret", () => {
+    const cursor = encodeCursor({ key: 1 });
+    process.env.CURSOR_SECRET = "rotated";
+    assert.equal(decodeCursor(cursor), null);
+  });
+
+  it("rejects another cursor version even when correctly signed", () => {
+    assert.deepEqual(decodeCursor(signWith("test-secret", { v: 1, key: 1 })), { key: 1 });
+    assert.equal(decodeCursor(signWith("test-secret", { v: 2, key: 1 })), null);
+  });
+
+  it("rejects a signed body that is not JSON", () => {
+    const body = Buffer.from("not json").toString("base64url");
+    const signature = crypto.createHmac("sha256", "test-secret").update(body).digest("base64url");
+    assert.equal(decodeCursor(`${body}.${signature}`), null);
+  });
+
+  it("rejects malformed input", () => {
+    const cursor = encodeCursor({ key: 1 });
+    for (const value of [undefined, null, 42, "", ".", "abc", `${cursor}.extra`, `.${cursor.split(".")[1]}`]) {
+      assert.equal(decodeCursor(value), null, String(value));
+    }
+  });
+
+  it("uses one random key per process without CURSOR_SECRET", () => {
+    delete process.env.CURSOR_SECRET;
+    const cursor = encodeCursor({ key: 1 });
+    assert.deepEqual(decodeCursor(cursor), { key: 1 });
+    process.env.CURSOR_SECRET = "test-secret";
+    assert.equal(decodeCursor(cursor), null);
+  });
+});
@@ -0,0 +1,143 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createRowSerializer, getJSONPolicies, JSON_POLICY, safeJSONStringify, withColumns } from "../../src/utils/json.js";
+
+const DEFAULTS = Object.freeze({
+  bigint: JSON_POLICY.BIGINT.STRING,
+  decimal: JSON_POLICY.DECIMAL.NUMBER,
+  binary: JSON_POLICY.BINARY.BASE64,
+  dates: JSON_POLICY.DATES.ISO,
+  fallback: JSON_POLICY.FALLBACK.NULL,
+});
+
+// Column metadata shaped like mssql's recordset.columns entries
+const column = (declaration, scale) => ({ type: { declaration }, ...(scale !== undefined && { scale }) });
+
+// Builds an mssql-style recordset: an array of rows carrying `columns`
+const recordset = (columns, rows) => Object.assign(rows, { columns });
+
+describe("getJSONPolicies", () => {
+  const NAMES = ["JSON_BIGINT", "JSON_DECIMAL", "JSON_BINARY", "JSON_DATES", "JSON_FALLBACK"];
+
+  it("reads the environment and falls back to the first value of each policy", (t) => {
+    const saved = NAMES.map((name) => [name, process.env[name]]);
+    t.after(() => {
+      for (const [name, value] of saved) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+    });
+    for (const name of NAMES) delete process.env[name];
+    assert.deepEqual(getJSONPolicies(), DEFAULTS);
+    Object.assign(process.env, { JSON_BIGINT: "NUMBER", JSON_BINARY: "octal", JSON_DATES: "naive" });
+    assert.deepEqual(getJSONPolicies(), { ...DEFAULTS, bigint: "number", dates: "naive" });
+  });
+});
+
+describe("safeJSONStringify", () => {
+  it("writes bigint as a string or an unquoted number", () => {
+    const value = { id: 9007199254740993n };
+    assert.equal(safeJSONStringify(value, DEFAULTS), '{"id":"9007199254740993"}');
+    assert.equal(safeJSONStringify(value, { ...DEFAULTS, bigint: "number" }), '{"id":9007199254740993}');
+  });
+
+  it("writes bigint columns the driver returns as strings according to the policy", () => {
+    const rows = recordset({ id: column("bigint"), code: column("nvarchar") }, [{ id: "9007199254740993", code: "12" }]);
+    assert.equal(safeJSONStringify(rows, DEFAULTS), '[{"id":"9007199254740993","code":"12"}]');
+    assert.equal(safeJSONStringify(rows, { ...DEFAULTS, bigint: "number" }), '[{"id":9007199254740993,"code":"12"}]');
+  });
+
+  it("writes decimals as numbers or as text fixed to the column scale", () => {
+    const rows = recordset(
+      { price: column("decimal", 2), fee: column("money"), ratio: column("float") },
+      [{ price: 12.5, fee: 3, ratio: 0.25 }]
+    );
+    assert.equal(safeJSONStringify(rows, DEFAULTS), '[{"price":12.5,"fee":3,"ratio":0.25}]');
+    assert.equal(
+      safeJSONStringify(rows, { ...DEFAULTS, decimal: "fixed" }),
+      '[{"price":"12.50","fee":"3.0000","ratio":0.25}]'
+    );
+  });
+
+  it("formats decimals the driver has already rounded to a double without restoring digits", () => {
+    // decimal(38, 2) 12345678901234567.89 reaches us as the nearest double, as tedious parses it
+    const rows = recordset({ big: column("decimal", 2) }, [{ big: Number("12345678901234567.89") }]);
+    assert.equal(safeJSONStringify(rows, { ...DEFAULTS, decimal: "fixed" }), '[{"big":"12345678901234568.00"}]');
+  });
+
+  it("writes binary as base64, hex or a Node Buffer object", () => {
+    const value = { data: Buffer.from([1, 171]) };
+    assert.equal(safeJSONStringify(value, DEFAULTS), '{"data":"Aas="}');
+    assert.equal(safeJSONStringify(value, { ...DEFAULTS, binary: "hex" }), '{"data":"0x01AB"}');
+    assert.equal(safeJSONStringify(value, { ...DEFAULTS, binary: "buffer" }), '{"data":{"type":"Buffer","data":[1,171]}}');
+  });
+
+  it("writes dates in UTC, or as stored under the naive policy", () => {
+    const moment = new Date("2024-01-15T10:30:00.000Z");
+    const row = withColumns(
+      { day: moment, at: moment, stamp: moment, zoned: moment, bad: new Date(NaN) },
+      { day: column("date"), at: column("time"), stamp: column("datetime2"), zoned: column("datetimeoffset") }
+    );
+    const iso = '"2024-01-15T10:30:00.000Z"';
+    assert.equal(
+      safeJSONStringify(row, DEFAULTS),
+      `{"day":${iso},"at":${iso},"stamp":${iso},"zoned":${iso},"bad":null}`
+    );
+    assert.equal(
+      safeJSONStringify(row, { ...DEFAULTS, dates: "naive" }),
+      `{"day":"2024-01-15","at":"10:30:00.000","stamp":"2024-01-15T10:30:00.000","zoned":${iso},"bad":null}`
+    );
+  });
+
+  it("skips the same fields as JSON.stringify and writes non-finite numbers as null", () => {
+    const value = { a: undefined, b: () => 1, c: Symbol("c"), d: NaN, e: true, f: [undefined, Infinity] };
+    assert.equal(safeJSONStringify(value, DEFAULTS), JSON.stringify(value));
+  });
+
+  it("replaces only the field that cannot be serialized", () => {
+    const circular = { name: "loop" };
+    circular.self = circular;
+    const throwing = { toJSON: () => { throw new Error("boom"); }, toString: () => "throwing" };
+    const value = { id: 1, circular, throwing };
+    assert.equal(safeJSONStringify(value, DEFAULTS), '{"id":1,"circular":{"name":"loop","self":null},"throwing":null}');
+    assert.equal(
+      safeJSONStringify(value, { ...DEFAULTS, fallback: "string" }),
+      '{"id":1,"circular":{"name":"loop","self":"[object Object]"},"throwing":"throwing"}'
+    );
+  });
+
+  it("allows the same object twice when it is not on its own path", () => {
+    const shared = { x: 1 };
+    assert.equal(safeJSONStringify({ a: shared, b: [shared, shared] }, DEFAULTS), '{"a":{"x":1},"b":[{"x":1},{"x":1}]}');
+  });
+
+  it("never lets the column metadata itself reach the output", () => {
+    const row = withColumns({ id: 1 }, { id: column("int") });
+    assert.equal(safeJSONStringify(row, DEFAULTS), '{"id":1}');
+    assert.equal(safeJSONStringify(recordset({ id: column("int") }, [row]), DEFAULTS), '[{"id":1}]');
+  });
+
+  it("produces valid JSON for any input", () => {
+    const circular = [];
+    circular.push(circular);
+    for (const value of [circular, 1n, Buffer.from("x"), new Date(0), undefined, null, "text"]) {
+      assert.doesNotThrow(() => JSON.parse(safeJSONStringify(value, DEFAULTS)));
+    }
+  });
+});
+
+describe("createRowSerializer", () => {
+  it("serializes each row with the recordset's column types", () => {
+    const serialize = createRowSerializer({ id: column("bigint"), price: column("numeric", 3) }, {
+      ...DEFAULTS,
+      bigint: "number",
+      decimal: "fixed",
+    });
+    assert.equal(serialize({ id: "42", price: 1.5 }), '{"id":42,"price":"1.500"}');
+    assert.equal(serialize({ id: 7n, price: null }), '{"id":7,"price":null}');
+  });
+
+  it("works without column metadata", () => {
+    assert.equal(createRowSerializer(null, DEFAULTS)({ id: 1n, data: Buffer.from([255]) }), '{"id":"1","data":"/w=="}');
+  });
+});
@@ -0,0 +1,314 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import mssql from "mssql";
+import {
+  COLUMN_KIND,
+  compileListQuery,
+  FILTER_OPERATOR,
+  getSortKey,
+  parseListQuery,
+  parseSortKey,
+  selectFields,
+} from "../../src/utils/listQuery.js";
+
+const RESOURCE = {
+  key: "id",
+  defaultSort: ["id"],
+  columns: {
+    id: {
+      type: mssql.Int,
+      kind: COLUMN_KIND.INTEGER,
+      minimum: 1,
+      operators: [FILTER_OPERATOR.EQ, FILTER_OPERATOR.GT, FILTER_OPERATOR.IN],
+      sortable: true,
+    },
+    qty: {
+      type: mssql.Int,
+      kind: COLUMN_KIND.INTEGER,
+      nullable: true,
+      operators: [FILTER_OPERATOR.GTE, FILTER_OPERATOR.IN, FILTER_OPERATOR.NULL],
+      sortable: true,
+    },
+    created: {
+      type: mssql.DateTime,
+      kind: COLUMN_KIND.DATE,
+      nullable: true,
+      operators: [FILTER_OPERATOR.LT],
+      sortable: true,
+    },
+    note: { type: mssql.NVarChar, kind: COLUMN_KIND.STRING, operators: [FILTER_OPERATOR.EQ] },
+  },
+};
+
+// Collects parameters the way request.input() receives them
+const createRequest = () => {
+  const parameters = {};
+  return { parameters, input: (name, _type, value) => (parameters[name] = value) };
+};
+
+const compile = (query, options) => {
+  const spec = parseListQuery(query, RESOURCE);
+  const request = createRequest();
+  return { spec, ...compileListQuery(spec, RESOURCE, request, options), parameters: request.parameters };
+};
+
+/**
+ * Evaluate a compiled WHERE clause against one row with SQL semantics:
+ * any comparison with NULL is not true. Covers the fragments compileListQuery emits.
+ */
+const createPredicate = (where, parameters) => {
+  if (where === "") return () => true;
+  const source = where
+    .replace(/^WHERE /, "")
+    .replace(/\[(\w+)\] IN \(([^)]*)\)/g, (_, column, list) =>
+      `(${list.split(", ").map((parameter) => `cmp(row.${column}, "=", p.${parameter.slice(1)})`).join(" || ")})`)
+    .replace(/\[(\w+)\] IS NOT NULL/g, "(row.$1 !== null)")
+    .replace(/\[(\w+)\] IS NULL/g, "(row.$1 === null)")
+    .replace(/\[(\w+)\] (<>|<=|>=|=|<|>) @(p\d+)/g, 'cmp(row.$1, "$2", p.$3)')
+    .replace(/ AND /g, " && ")
+    .replace(/ OR /g, " || ")
+    .replace(/1 = 0/g, "false");
+  const cmp = (a, operator, b) => {
+    if (a === null || b === null) return false;
+    const [x, y] = [a, b].map((value) => (value instanceof Date ? value.getTime() : value));
+    return { "=": x === y, "<>": x !== y, "<": x < y, "<=": x <= y, ">": x > y, ">=": x >= y }[operator];
+  };
+  const evaluate = new Function("row", "p", "cmp", `return ${source};`);
+  return (row) => evaluate(row, parameters, cmp);
+};
+
+// Sort rows by a compiled ORDER BY; SQL Server sorts NULL below every value
+const createComparator = (orderBy) => {
+  const terms = orderBy
+    .replace(/^ORDER BY /, "")
+    .split(", ")
+    .map((term) => term.match(/^\[(\w+)\] (ASC|DESC)$/))
+    .map(([, column, direction]) => ({ column, sign: direction === "DESC" ? -1 : 1 }));
+  return (a, b) => {
+    for (const { column, sign } of terms) {
+      const [x, y] = [a[column], b[column]].map((value) => (value instanceof Date ? value.getTime() : value));
+      if (x === y) continue;
+      if (x === null) return -sign;
+      if (y === null) return sign;
+      return x < y ? -sign : sign;
+    }
+    return 0;
+  };
+};
+
+const ROWS = [
+  { id: 1, qty: 5, created: new Date("2026-01-03T00:00:00Z"), note: "a" },
+  { id: 2, qty: null, created: new Date("2026-01-01T00:00:00Z"), note: "b" },
+  { id: 3, qty: 5, created: null, note: "c" },
+  { id: 4, qty: 2, created: new Date("2026-01-02T00:00:00Z"), note: "d" },
+  { id: 5, qty: null, created: null, note: "e" },
+  { id: 6, qty: 9, created: new Date("2026-01-01T00:00:00Z"), note: "f" },
+  { id: 7, qty: 2, created: new Date("2026-01-03T00:00:00Z"), note: "g" },
+];
+
+// Run one page the way listRecords does: filter, keyset seek, order, limit
+const fetchPage = (query, limit, options) => {
+  const { spec, where, orderBy, parameters } = compile(query, options);
+  const page = ROWS.filter(createPredicate(where, parameters)).sort(createComparator(orderBy)).slice(0, limit);
+  return { spec, rows: options.backwards ? page.reverse() : page };
+};
+
+describe("parseListQuery", () => {
+  it("parses filters, sort and fields and appends the key as tie-breaker", () => {
+    const spec = parseListQuery(
+      { filter: "qty:gte:5,created:lt:2026-01-02,id:in:1|2", sort: "-created", fields: "note" },
+      RESOURCE
+    );
+    assert.deepEqual(spec.filters, [
+      { column: "qty", operator: "gte", values: [5] },
+      { column: "created", operator: "lt", values: [new Date("2026-01-02T00:00:00Z")] },
+      { column: "id", operator: "in", values: [1, 2] },
+    ]);
+    assert.deepEqual(spec.sort, [
+      { column: "created", descending: true },
+      { column: "id", descending: false },
+    ]);
+    assert.deepEqual(spec.fields, ["note"]);
+    assert.equal(spec.signature, "-created,id");
+  });
+
+  it("uses the default sort and keeps an explicit key position", () => {
+    assert.equal(parseListQuery({}, RESOURCE).signature, "id");
+    assert.equal(parseListQuery({ sort: "-id,qty" }, RESOURCE).signature, "-id,qty");
+  });
+
+  it("gives the same filter signature to filters with the same meaning", () => {
+    const signature = (filter) => parseListQuery({ filter }, RESOURCE).filterSignature;
+    assert.equal(signature(undefined), "");
+    assert.equal(
+      signature("qty:gte:5,created:lt:2026-01-02,id:in:1|2"),
+      signature(" id:in:2|1 , created:lt:2026-01-02T00:00:00Z,qty:gte:05")
+    );
+    assert.notEqual(signature("qty:gte:5"), signature("qty:gte:6"));
+    assert.notEqual(signature("qty:gte:5"), signature("qty:in:5"));
+    assert.notEqual(signature("note:eq:a|b"), signature("note:eq:a,note:eq:b"));
+    assert.notEqual(signature("qty:null:true"), signature("qty:null:false"));
+  });
+
+  it("reads dates without an offset as UTC and keeps colons in values", () => {
+    const spec = parseListQuery({ filter: "created:lt:2026-01-02T10:30" }, RESOURCE);
+    assert.deepEqual(spec.filters[0].values, [new Date("2026-01-02T10:30:00Z")]);
+  });
+
+  it("parses the null operator as a boolean", () => {
+    const spec = parseListQuery({ filter: "qty:null:false" }, RESOURCE);
+    assert.deepEqual(spec.filters, [{ column: "qty", operator: "null", values: [false] }]);
+  });
+
+  it("reports every problem in one VALIDATION_ERROR", () => {
+    assert.throws(
+      () =>
+        parseListQuery(
+          {
+            filter: "nope:eq:1,qty:lt:1,id:eq:x,id:eq:0,qty:null:maybe,created:lt:2026-13-45,bad",
+            sort: "note,id,id,ghost",
+            fields: "note,ghost",
+          },
+          RESOURCE
+        ),
+      (error) => {
+        assert.equal(error.statusCode, 400);
+        assert.equal(error.code, "VALIDATION_ERROR");
+        assert.deepEqual(
+          error.details.map(({ field, message }) => [field, message]),
+          [
+            ["filter", 'unknown column "nope"'],
+            ["filter", 'operator "lt" is not allowed for qty (allowed: gte, in, null)'],
+            ["filter", 'value "x" for id must be an integer'],
+            ["filter", "value 0 for id must be at least 1"],
+            ["filter", "value for qty:null must be true or false"],
+            ["filter", 'value "2026-13-45" for created must be a date (YYYY-MM-DD or ISO 8601)'],
+            ["filter", '"bad" must be column:operator:value'],
+            ["sort", "cannot sort by note"],
+            ["sort", "id is listed more than once"],
+            ["sort", 'unknown column "ghost"'],
+            ["fields", 'unknown column "ghost"'],
+          ]
+        );
+        assert.ok(error.details.every(({ location }) => location === "query"));
+        return true;
+      }
+    );
+  });
+
+  it("limits the number of IN values", () => {
+    const values = Array.from({ length: 101 }, (_, index) => index + 1).join("|");
+    assert.throws(() => parseListQuery({ filter: `id:in:${values}` }, RESOURCE), /id:in accepts at most 100 values/);
+  });
+
+  it("does not treat inherited properties as columns", () => {
+    assert.throws(() => parseListQuery({ sort: "constructor" }, RESOURCE), /unknown column "constructor"/);
+  });
+});
+
+describe("compileListQuery", () => {
+  it("binds every filter value as a parameter", () => {
+    const { where, orderBy, parameters } = compile({ filter: "qty:gte:5,id:in:1|2|3,qty:null:false" });
+    assert.equal(where, "WHERE [qty] >= @p0 AND [id] IN (@p1, @p2, @p3) AND [qty] IS NOT NULL");
+    assert.equal(orderBy, "ORDER BY [id] ASC");
+    assert.deepEqual(parameters, { p0: 5, p1: 1, p2: 2, p3: 3 });
+  });
+
+  it("selects the requested fields plus the sort columns, in table order", () => {
+    assert.equal(compile({ fields: "note", sort: "-created" }).columns, "[id], [created], [note]");
+    assert.equal(compile({}).columns, "[id], [qty], [created], [note]");
+  });
+
+  it("lets NULLs follow every value in a descending nullable seek", () => {
+    const { where, parameters } = compile({ sort: "-qty" }, { after: [7, 10] });
+    assert.equal(where, "WHERE ((([qty] < @p0 OR [qty] IS NULL)) OR ([qty] = @p0 AND [id] > @p1))");
+    assert.deepEqual(parameters, { p0: 7, p1: 10 });
+  });
+
+  it("continues after a NULL sort value", () => {
+    assert.equal(
+      compile({ sort: "qty" }, { after: [null, 10] }).where,
+      "WHERE (([qty] IS NOT NULL) OR ([qty] IS NULL AND [id] > @p0))"
+    );
+    assert.equal(compile({ sort: "-qty" }, { after: [null, 10] }).where, "WHERE (([qty] IS NULL AND [id] > @p0))");
+  });
+
+  it("reverses the order for previous pages", () => {
+    const { orderBy } = compile({ sort: "qty" }, { after: [7, 10], backwards: true });
+    assert.equal(orderBy, "ORDER BY [qty] DESC, [id] DESC");
+  });
+
+  for (const sort of ["id", "-id", "qty", "-qty", "created", "-created", "qty,-created", "-created,qty"]) {
+    for (const filter of [undefined, "qty:null:false", "id:gt:2"]) {
+      it(`pages through every row once, both ways (sort=${sort}, filter=${filter ?? "none"})`, () => {
+        const query = { sort, filter };
+        const { rows: expected } = fetchPage(query, ROWS.length, {});
+
+        // Forward, two rows at a time, continuing after the last row of each page
+        const forward = [];
+        let after = null;
+        for (;;) {
+          const { spec, rows } = fetchPage(query, 2, { after });
+          forward.push(...rows);
+          if (rows.length < 2) break;
+          after = parseSortKey(spec, getSortKey(spec, rows.at(-1)), RESOURCE);
+        }
+        assert.deepEqual(forward.map(({ id }) => id), expected.map(({ id }) => id));
+
+        // Backward from after the last row
+        const backward = [];
+        const spec = parseListQuery(query, RESOURCE);
+        let before = parseSortKey(spec, getSortKey(spec, expected.at(-1)), RESOURCE);
+        backward.unshift(expected.at(-1));
+        for (;;) {
+          const { rows } = fetchPage(query, 2, { after: before, backwards: true });
+          backward.unshift(...rows);
+          if (rows.length < 2) break;
+          before = parseSortKey(spec, getSortKey(spec, rows[0]), RESOURCE);
+        }
+        assert.deepEqual(backward.map(({ id }) => id), expected.map(({ id }) => id));
+      });
+    }
+  }
+});
+
+describe("getSortKey and parseSortKey", () => {
+  const spec = parseListQuery({ sort: "-created,qty" }, RESOURCE);
+
+  it("round-trip a row's sort values through JSON", () => {
+    const key = getSortKey(spec, ROWS[0]);
+    assert.deepEqual(key, ["2026-01-03T00:00:00.000Z", 5, 1]);
+    assert.deepEqual(parseSortKey(spec, JSON.parse(JSON.stringify(key)), RESOURCE), [
+      new Date("2026-01-03T00:00:00Z"),
+      5,
+      1,
+    ]);
+  });
+
+  it("accepts NULL only for nullable columns", () => {
+    assert.deepEqual(parseSortKey(spec, [null, null, 2], RESOURCE), [null, null, 2]);
+    assert.equal(parseSortKey(spec, [null, null, null], RESOURCE), null);
+  });
+
+  it("rejects keys that do not fit the sort", () => {
+    assert.equal(parseSortKey(spec, [null, 1], RESOURCE), null);
+    assert.equal(parseSortKey(spec, "2026-01-01", RESOURCE), null);
+    assert.equal(parseSortKey(spec, ["yesterday", 1, 1], RESOURCE), null);
+    assert.equal(parseSortKey(spec, [null, { qty: 1 }, 1], RESOURCE), null);
+    assert.equal(parseSortKey(spec, [null, 1, 0], RESOURCE), null);
+  });
+});
+
+describe("selectFields", () => {
+  it("keeps only the requested fields and the recordset columns", () => {
+    const rows = Object.assign([{ id: 1, created: null, note: "a" }], { columns: { note: {} } });
+    const picked = selectFields(parseListQuery({ fields: "note" }, RESOURCE), rows);
+    assert.deepEqual([...picked], [{ note: "a" }]);
+    assert.equal(picked.columns, rows.columns);
+  });
+
+  it("returns the rows unchanged without fields", () => {
+    const rows = [{ id: 1 }];
+    assert.equal(selectFields(parseListQuery({}, RESOURCE), rows), rows);
+  });
+});
@@ -0,0 +1,182 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  createValidationError,
+  validate,
+  validateLocation,
+  VALIDATION_LOCATION,
+} from "../../src/utils/validation.js";
+
+// Runs the middleware and returns what it passed to next()
+const run = (schemas, req) => {
+  let forwarded;
+  validate(schemas)(req, {}, (error) => (forwarded = error));
+  return forwarded;
+};
+
+describe("validateLocation", () => {
+  const check = (input, schema, location = VALIDATION_LOCATION.BODY) => {
+    const errors = [];
+    const values = validateLocation(input, schema, location, errors);
+    return { values, messages: errors.map(({ field, message }) => `${field ?? location} ${message}`) };
+  };
+
+  it("coerces query and params strings to the declared types", () => {
+    const schema = {
+      properties: {
+        limit: { type: "integer" },
+        ratio: { type: "number" },
+        flag: { type: "boolean" },
+        maybe: { type: ["integer", "null"] },
+        name: { type: "string" },
+      },
+    };
+    const { values, messages } = check(
+      { limit: "25", ratio: "0.5", flag: "TRUE", maybe: "null", name: "25" },
+      schema,
+      VALIDATION_LOCATION.QUERY
+    );
+    assert.deepEqual(messages, []);
+    assert.deepEqual(values, { limit: 25, ratio: 0.5, flag: true, maybe: null, name: "25" });
+  });
+
+  it("rejects strings that are not of the declared type", () => {
+    const schema = { properties: { limit: { type: "integer" }, flag: { type: "boolean" }, ratio: { type: "number" } } };
+    const { messages } = check({ limit: "2.5", flag: "yes", ratio: " " }, schema, VALIDATION_LOCATION.QUERY);
+    assert.deepEqual(messages, ["limit must be an integer", "flag must be a boolean", "ratio must be a number"]);
+    assert.deepEqual(
+      check({ limit: "9007199254740993" }, schema, VALIDATION_LOCATION.QUERY).messages,
+      ["limit must be an integer"]
+    );
+  });
+
+  it("rejects a repeated query parameter", () => {
+    const { messages } = check({ limit: ["1", "2"] }, { properties: { limit: { type: "integer" } } }, VALIDATION_LOCATION.QUERY);
+    assert.deepEqual(messages, ["limit must be a single value"]);
+  });
+
+  it("does not coerce JSON bodies", () => {
+    const schema = { properties: { qty: { type: ["integer", "null"] } } };
+    assert.deepEqual(check({ qty: "5" }, schema).messages, ["qty must be an integer or null"]);
+    assert.deepEqual(check({ qty: null }, schema).values, { qty: null });
+    assert.deepEqual(check({ qty: 1.5 }, schema).messages, ["qty must be an integer or null"]);
+  });
+
+  it("checks bounds, lengths, patterns and enums", () => {
+    const schema = {
+      properties: {
+        low: { type: "integer", minimum: 1 },
+        high: { type: "integer", maximum: 10 },
+        both: { type: "integer", minimum: 1, maximum: 10 },
+        short: { type: "string", minLength: 2 },
+        long: { type: "string", maxLength: 3 },
+        code: { type: "string", pattern: "^[A-Z]+$" },
+        color: { type: "string", enum: ["red", "blue"] },
+      },
+    };
+    const { messages } = check(
+      { low: 0, high: 11, both: 20, short: "a", long: "abcd", code: "abc", color: "green" },
+      schema
+    );
+    assert.deepEqual(messages, [
+      "low must be at least 1",
+      "high must be at most 10",
+      "both must be between 1 and 10",
+      "short must be at least 2 characters",
+      "long must be at most 3 characters",
+      "code must match ^[A-Z]+$",
+      "color must be one of: red, blue",
+    ]);
+  });
+
+  it("evaluates bounds and defaults given as functions on every call", () => {
+    let maximum = 5;
+    const schema = { properties: { limit: { type: "integer", maximum: () => maximum, default: () => maximum } } };
+    assert.deepEqual(check({ limit: 6 }, schema).messages, ["limit must be at most 5"]);
+    maximum = 10;
+    assert.deepEqual(check({ limit: 6 }, schema).messages, []);
+    assert.deepEqual(check({}, schema).values, { limit: 10 });
+  });
+
+  it("reports required and unknown fields, and applies defaults", () => {
+    const schema = {
+      properties: { qty: { type: "integer" }, mode: { type: "string", default: "fast" } },
+      required: ["qty"],
+      additionalProperties: false,
+    };
+    const { values, messages } = check({ extra: 1 }, schema);
+    assert.deepEqual(messages, ["extra is not allowed", "qty is required"]);
+    assert.deepEqual(values, { mode: "fast" });
+  });
+
+  it("passes unknown fields through unless additionalProperties is false", () => {
+    assert.deepEqual(check({ qty: 1, extra: "x" }, { properties: { qty: { type: "integer" } } }).values, {
+      qty: 1,
+      extra: "x",
+    });
+  });
+
+  it("enforces minProperties over the listed fields", () => {
+    const schema = { properties: { a: { type: "integer" }, b: { type: "integer" } }, minProperties: 1 };
+    assert.deepEqual(check({}, schema).messages, ["body must set at least 1 of: a, b"]);
+    assert.deepEqual(check({ b: 2 }, schema).messages, []);
+  });
+
+  it("requires an object", () => {
+    for (const input of [undefined, null, [1], "text"]) {
+      assert.deepEqual(check(input, { properties: {} }).messages, ["body must be a JSON object"]);
+    }
+  });
+
+  it("ignores inherited properties", () => {
+    const schema = { properties: {}, additionalProperties: false };
+    assert.deepEqual(check(JSON.parse('{"__proto__": {"x": 1}}'), schema).messages, ["__proto__ is not allowed"]);
+  });
+});
+
+describe("createValidationError", () => {
+  it("builds a 400 VALIDATION_ERROR listing every failure", () => {
+    const errors = [
+      { location: "query", field: "limit", message: "must be an integer" },
+      { location: "body", field: null, message: "must be a JSON object" },
+    ];
+    const error = createValidationError(errors);
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.code, "VALIDATION_ERROR");
+    assert.equal(error.message, "Invalid request: limit must be an integer; body must be a JSON object");
+    assert.deepEqual(error.details, errors);
+  });
+});
+
+describe("validate", () => {
+  const schemas = {
+    params: { properties: { id: { type: "integer", minimum: 1 } }, required: ["id"] },
+    query: { properties: { schema: { type: "boolean", default: false } } },
+    body: { properties: { qty: { type: "integer" } }, required: ["qty"], additionalProperties: false },
+  };
+
+  it("stores validated values on req.validated and calls next without an error", () => {
+    const req = { params: { id: "7" }, query: {}, body: { qty: 3 }, validated: { earlier: true } };
+    assert.equal(run(schemas, req), undefined);
+    assert.deepEqual(req.validated, { earlier: true, params: { id: 7 }, query: { schema: false }, body: { qty: 3 } });
+  });
+
+  it("collects failures from every location into one error", () => {
+    const req = { params: { id: "0" }, query: { schema: "maybe" }, body: { qty: "3", other: 1 } };
+    const error = run(schemas, req);
+    assert.equal(error.code, "VALIDATION_ERROR");
+    assert.deepEqual(error.details, [
+      { location: "params", field: "id", message: "must be at least 1" },
+      { location: "query", field: "schema", message: "must be a boolean" },
+      { location: "body", field: "other", message: "is not allowed" },
+      { location: "body", field: "qty", message: "must be an integer" },
+    ]);
+    assert.equal(req.validated, undefined);
+  });
+
+  it("only checks the locations it is given", () => {
+    const req = { params: {}, query: { anything: "x" }, body: undefined };
+    assert.equal(run({ query: { properties: {} } }, req), undefined);
+    assert.deepEqual(req.validated, { query: { anything: "x" } });
+  });
+});